@@ -0,0 +1,158 @@
+// LineBreaker Achievements
+// Goals reached by playing, each followed through the engine's events.
+// Progress is kept between games (in localStorage in the browser), and some
+// achievements unlock a cosmetic theme or a game mode. Adding one only needs
+// an entry in the table below.
+(function (root) {
+
+const LineBreakerEngine = typeof module !== 'undefined' && module.exports ?
+    require('./engine.js') : root.LineBreakerEngine;
+
+const { BLOCK_TYPES, GRAVITY } = LineBreakerEngine;
+const STORAGE_KEY = 'lineBreakerAchievements';
+const BOMB_TYPES = [BLOCK_TYPES.BOMB, BLOCK_TYPES.COLOR_BOMB];
+
+// Each achievement:
+//   name, description, icon: shown in the toast and the achievements list
+//   event: engine event that moves it along
+//   update(value, event, state): its value in the current game after the event
+//   goal: value to reach within one game
+//   unlocks: { theme } or { mode } it unlocks, if any
+const ACHIEVEMENTS = {
+    firstColumn: {
+        name: 'Pillar Breaker',
+        description: 'Clear a column.',
+        icon: '🏛️',
+        event: 'linesCleared',
+        update: (value, event) => value + event.cols.length,
+        goal: 1,
+        unlocks: { theme: 'ember' }
+    },
+    bombSquad: {
+        name: 'Bomb Squad',
+        description: 'Set off 3 bombs in one game.',
+        icon: '💣',
+        event: 'special',
+        update: (value, event) => value + (BOMB_TYPES.includes(event.block) ? 1 : 0),
+        goal: 3,
+        unlocks: { theme: 'toxic' }
+    },
+    upsideDown: {
+        name: 'Upside Down',
+        description: 'Clear a line while gravity pulls up.',
+        icon: '🙃',
+        event: 'linesCleared',
+        update: (value, event, state) => value + (state.currentGravity === GRAVITY.UP ? event.count : 0),
+        goal: 1,
+        unlocks: { theme: 'ocean' }
+    },
+    shiftSurvivor: {
+        name: 'Unshakeable',
+        description: 'Survive 10 gravity shifts in one game.',
+        icon: '🌀',
+        event: 'gravityShift',
+        update: value => value + 1,
+        goal: 10,
+        unlocks: { theme: 'aurora' }
+    },
+    levelTwenty: {
+        name: 'Twenty Levels Up',
+        description: 'Reach level 20.',
+        icon: '🚀',
+        event: 'levelUp',
+        update: (value, event) => Math.max(value, event.level),
+        goal: 20,
+        unlocks: { mode: 'master' }
+    }
+};
+
+// Progress with nothing earned yet
+function createProgress() {
+    return {
+        unlocked: {}, // Achievement id -> Date.now() when it was earned
+        best: {} // Achievement id -> best value in any one game so far
+    };
+}
+
+// Follow the games on an engine. Progress is updated in place, and onChange
+// is called with it after every improvement, along with the achievement it
+// unlocked (null when it only got closer).
+function createTracker(engine, progress, onChange) {
+    let values = null; // Achievement id -> value in the current game
+
+    // Continued games (savegame.js) count from where they were loaded
+    const startGame = () => {
+        values = {};
+    };
+    engine.on('start', startGame);
+    engine.on('load', startGame);
+    engine.on('gameOver', () => {
+        values = null;
+    });
+    for (const id in ACHIEVEMENTS) {
+        const achievement = ACHIEVEMENTS[id];
+        engine.on(achievement.event, (event, state) => {
+            if (!values || progress.unlocked[id]) return;
+            values[id] = achievement.update(values[id] || 0, event, state);
+            if (values[id] <= (progress.best[id] || 0)) return;
+            progress.best[id] = Math.min(values[id], achievement.goal);
+            if (values[id] >= achievement.goal) {
+                progress.unlocked[id] = Date.now();
+                onChange(progress, achievement);
+            } else {
+                onChange(progress, null);
+            }
+        });
+    }
+}
+
+// Themes unlocked so far (the default theme isn't listed)
+function unlockedThemes(progress) {
+    return Object.keys(progress.unlocked)
+        .map(id => ACHIEVEMENTS[id] && ACHIEVEMENTS[id].unlocks)
+        .filter(unlocks => unlocks && unlocks.theme)
+        .map(unlocks => unlocks.theme);
+}
+
+// Can a mode (modes.js) be played yet?
+function isModeUnlocked(progress, mode) {
+    return !mode.unlock || !!progress.unlocked[mode.unlock];
+}
+
+// Load progress from storage
+function loadProgress(storage) {
+    const progress = createProgress();
+    try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (saved) {
+            Object.assign(progress.unlocked, saved.unlocked);
+            Object.assign(progress.best, saved.best);
+        }
+    } catch (e) {
+        console.log('Ignoring invalid saved achievements');
+    }
+    return progress;
+}
+
+// Save progress to storage
+function saveProgress(storage, progress) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(progress));
+}
+
+const LineBreakerAchievements = {
+    ACHIEVEMENTS: ACHIEVEMENTS,
+    createProgress: createProgress,
+    createTracker: createTracker,
+    unlockedThemes: unlockedThemes,
+    isModeUnlocked: isModeUnlocked,
+    loadProgress: loadProgress,
+    saveProgress: saveProgress
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerAchievements;
+} else {
+    root.LineBreakerAchievements = LineBreakerAchievements;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,103 @@
+// LineBreaker Special Blocks
+// The special cells a piece can carry, how often they are dealt at each level
+// and how they look. The engine resolves what they do when a clear reaches
+// them; tuning the odds only needs this table.
+(function (root) {
+
+// Cell types kept in the engine's blockTypes grid
+const BLOCK_TYPES = {
+    NORMAL: 0,
+    BOMB: 1, // Clears the 5x5 area around it
+    LASER: 2, // Clears its whole row and column
+    COLOR_BOMB: 3, // Clears every block of its color
+    ICE: 4, // Takes two clears: the first one only thaws it
+    GRAVITY_SWAP: 5 // Arms a gravity shift
+};
+
+// Each special block:
+//   name, symbol, color: for the renderer and the tutorial
+//   minLevel: first level it is dealt on
+//   chance: chance per piece on that level
+//   perLevel, maxChance: chance added on every later level, up to a cap
+//   wholePiece: every cell of the piece is special, not just the center one
+//   needsGravityShifts: only dealt when the gravity rule can shift gravity
+const SPECIAL_BLOCKS = {
+    [BLOCK_TYPES.BOMB]: {
+        name: 'Bomb',
+        symbol: '💣',
+        color: '#FF0000',
+        minLevel: 1,
+        chance: 0.08
+    },
+    [BLOCK_TYPES.LASER]: {
+        name: 'Laser',
+        symbol: '✚',
+        color: '#FF10F0',
+        minLevel: 3,
+        chance: 0.02,
+        perLevel: 0.005,
+        maxChance: 0.05
+    },
+    [BLOCK_TYPES.COLOR_BOMB]: {
+        name: 'Color bomb',
+        symbol: '◆',
+        color: '#FFFFFF',
+        minLevel: 5,
+        chance: 0.02,
+        perLevel: 0.004,
+        maxChance: 0.04
+    },
+    [BLOCK_TYPES.ICE]: {
+        name: 'Ice',
+        symbol: '❄',
+        color: '#BFEFFF',
+        minLevel: 4,
+        chance: 0.03,
+        perLevel: 0.005,
+        maxChance: 0.08,
+        wholePiece: true
+    },
+    [BLOCK_TYPES.GRAVITY_SWAP]: {
+        name: 'Gravity swap',
+        symbol: '⇅',
+        color: '#00FF9F',
+        minLevel: 2,
+        chance: 0.03,
+        needsGravityShifts: true
+    }
+};
+
+// Chance per piece of a special block at a level
+function specialChance(block, level) {
+    if (level < block.minLevel) return 0;
+    const chance = block.chance + (level - block.minLevel) * (block.perLevel || 0);
+    return Math.min(chance, block.maxChance || block.chance);
+}
+
+// Special block for a new piece, or NORMAL. Takes a single number in [0, 1)
+// from the game's stream, so every piece draws exactly once.
+function pickSpecial(level, gravityShifts, value) {
+    let total = 0;
+    for (const type in SPECIAL_BLOCKS) {
+        const block = SPECIAL_BLOCKS[type];
+        if (block.needsGravityShifts && !gravityShifts) continue;
+        total += specialChance(block, level);
+        if (value < total) return Number(type);
+    }
+    return BLOCK_TYPES.NORMAL;
+}
+
+const LineBreakerBlocks = {
+    BLOCK_TYPES: BLOCK_TYPES,
+    SPECIAL_BLOCKS: SPECIAL_BLOCKS,
+    specialChance: specialChance,
+    pickSpecial: pickSpecial
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerBlocks;
+} else {
+    root.LineBreakerBlocks = LineBreakerBlocks;
+}
+
+})(typeof self !== 'undefined' ? self : this);
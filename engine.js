@@ -0,0 +1,1429 @@
+// LineBreaker Engine
+// Headless game rules: no DOM, canvas or audio access. The engine owns the
+// game state, applies actions to it and emits events describing what
+// happened, so the canvas renderer, audio and HUD can subscribe to them and
+// the rules can run in Node, a worker or a bot.
+(function (root) {
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const LineBreakerRandom = isNode ? require('./random.js') : root.LineBreakerRandom;
+const LineBreakerGenerators = isNode ? require('./generators.js') : root.LineBreakerGenerators;
+const LineBreakerModes = isNode ? require('./modes.js') : root.LineBreakerModes;
+const LineBreakerGravityRules = isNode ? require('./gravity-rules.js') : root.LineBreakerGravityRules;
+const LineBreakerBlocks = isNode ? require('./blocks.js') : root.LineBreakerBlocks;
+const LineBreakerScoring = isNode ? require('./scoring.js') : root.LineBreakerScoring;
+const LineBreakerGarbage = isNode ? require('./garbage.js') : root.LineBreakerGarbage;
+
+// Board Configuration
+const COLS = 10;
+const ROWS = 18; // Slightly shorter for better mobile fit
+const COLORS = [
+    '#FF006E', // Neon Pink
+    '#00F5FF', // Neon Cyan
+    '#FBFF00', // Neon Yellow
+    '#FF5F00', // Neon Orange
+    '#8B00FF', // Neon Purple
+    '#00FF9F', // Neon Mint
+    '#FF1744', // Neon Red
+    '#FFD700', // Neon Gold
+    '#00FFFF', // Neon Aqua
+    '#FF10F0', // Neon Magenta (for small L)
+    '#39FF14', // Neon Lime (for triple horizontal)
+    '#FF007F'  // Neon Rose (for reverse L)
+];
+
+// Tetromino Shapes
+const SHAPES = [
+    [[1, 1, 1, 1]], // I
+    [[1, 1], [1, 1]], // O
+    [[0, 1, 0], [1, 1, 1]], // T
+    [[1, 1, 0], [0, 1, 1]], // S
+    [[0, 1, 1], [1, 1, 0]], // Z
+    [[1, 0, 0], [1, 1, 1]], // L
+    [[0, 0, 1], [1, 1, 1]], // J
+    [[1]], // Single dot
+    [[1, 1]], // Double dot (horizontal)
+    [[1, 0], [1, 1]], // Small L (3 dots)
+    [[1, 1, 1]], // Triple horizontal
+    [[0, 1], [1, 1]] // Small reverse L (3 dots)
+];
+
+// Rotation boxes: [size, row the spawn shape sits in]. Pieces rotate inside
+// this square so they turn around its center instead of the top-left corner.
+const ROTATION_BOXES = [
+    [4, 1], // I
+    [2, 0], // O
+    [3, 0], // T
+    [3, 0], // S
+    [3, 0], // Z
+    [3, 0], // L
+    [3, 0], // J
+    [1, 0], // Single dot
+    [2, 0], // Double dot
+    [2, 0], // Small L
+    [3, 1], // Triple horizontal
+    [2, 0]  // Small reverse L
+];
+
+// Wall kicks tried in order for each clockwise turn from rotation state 0-3,
+// as [x, y] with y pointing away from the floor (SRS convention).
+// Counter-clockwise turns use the reverse turn's kicks negated.
+const SRS_KICKS = [
+    [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]]
+];
+const I_KICKS = [
+    [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]]
+];
+// Small custom shapes: nudge sideways, then up one row
+const SMALL_KICKS = [[0, 0], [-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1]];
+
+// Special Block Types (see blocks.js)
+const BLOCK_TYPES = LineBreakerBlocks.BLOCK_TYPES;
+
+// Gravity Directions
+const GRAVITY = {
+    DOWN: 0,
+    UP: 1,
+    LEFT: 2,
+    RIGHT: 3
+};
+
+// Step each gravity direction pulls a piece, in columns (x) and rows (y)
+const GRAVITY_VECTORS = [
+    { x: 0, y: 1 }, // DOWN
+    { x: 0, y: -1 }, // UP
+    { x: -1, y: 0 }, // LEFT
+    { x: 1, y: 0 } // RIGHT
+];
+
+// Step of a move to the player's right under each gravity: across the pull,
+// toward the right of the screen, or toward its bottom under sideways gravity
+const MOVE_VECTORS = [
+    { x: 1, y: 0 }, // DOWN
+    { x: 1, y: 0 }, // UP
+    { x: 0, y: 1 }, // LEFT
+    { x: 0, y: 1 } // RIGHT
+];
+
+// With sideways gravity on, each shift turns gravity a quarter turn clockwise
+const SIDEWAYS_ORDER = [GRAVITY.DOWN, GRAVITY.LEFT, GRAVITY.UP, GRAVITY.RIGHT];
+
+const GRAVITY_WARNING_TIME = 5000; // Warn 5 seconds before a shift
+const DANGER_ROWS = 4;
+const QUEUE_SIZE = 5; // Upcoming pieces dealt ahead of time (max preview length)
+const LOCK_DELAY = 500; // Time a landed piece can still slide before it locks
+const MAX_LOCK_RESETS = 15; // Moves/rotations per piece that restart the lock delay
+
+// Create an empty ROWS x COLS board filled with a value
+function createBoard(value) {
+    const board = [];
+    for (let row = 0; row < ROWS; row++) {
+        board[row] = new Array(COLS).fill(value);
+    }
+    return board;
+}
+
+// Create Initial State
+// options.seed: any string or number (random when missing)
+// options.generator: piece generator name from generators.js (the mode's own when missing)
+// options.lockDelay: ms a landed piece waits before locking
+// options.mode: game mode name from modes.js
+// options.gravityRule: gravity rule name from gravity-rules.js
+// options.sidewaysGravity: shifts turn gravity toward the side walls too
+// options.cascade: blocks left floating by a clear fall, and can clear more lines
+function createState(options = {}) {
+    let seed = options.seed;
+    if (seed === undefined || seed === null || seed === '') {
+        seed = LineBreakerRandom.randomSeed();
+    }
+    const mode = LineBreakerModes.MODES[options.mode] ? options.mode : LineBreakerModes.DEFAULT_MODE;
+    let gravityRule = LineBreakerGravityRules.GRAVITY_RULES[options.gravityRule] ?
+        options.gravityRule : LineBreakerGravityRules.DEFAULT_GRAVITY_RULE;
+    if (!LineBreakerModes.getMode(mode).gravityShifts) gravityRule = 'off';
+    const level = LineBreakerModes.levelFor(LineBreakerModes.getMode(mode), 0);
+    const garbageRise = LineBreakerModes.getMode(mode).garbageRise;
+    return {
+        seed: String(seed),
+        rngState: LineBreakerRandom.hashSeed(seed), // Piece and bomb stream
+        // Separate stream for random gravity timing, so the rule doesn't change the pieces
+        gravityRngState: LineBreakerRandom.hashSeed(seed + ':gravity'),
+        garbageRngState: LineBreakerRandom.hashSeed(seed + ':garbage'), // Holes of rising garbage
+        generator: LineBreakerGenerators.GENERATORS[options.generator] ?
+            options.generator : LineBreakerModes.getMode(mode).generator,
+        bag: [], // Generator memory (shuffled bag)
+        mode: mode,
+        gravityRule: gravityRule,
+        outcome: null, // How the game ended: 'goal', 'topOut' or 'quit'
+        grid: createBoard(0),
+        blockTypes: createBoard(BLOCK_TYPES.NORMAL), // Track special block types
+        currentPiece: null,
+        queue: [], // Upcoming pieces, next one first
+        holdPiece: null,
+        canHold: true, // One hold per piece; re-armed when a piece locks
+        score: 0,
+        streak: LineBreakerScoring.createStreak(), // Combo and back-to-back
+        lines: 0,
+        level: level,
+        dropInterval: LineBreakerModes.dropIntervalFor(level),
+        isGameOver: false,
+        isPaused: false,
+        currentGravity: GRAVITY.DOWN,
+        sidewaysGravity: !!options.sidewaysGravity,
+        cascade: !!options.cascade,
+        nextGravityShift: null, // Game time of the next shift, null when none is due
+        gravityWarning: false,
+        linesSinceShift: 0, // Lines cleared since the last shift, for line rules
+        // Game time the next garbage line rises, null in modes without garbageRise
+        nextGarbageRise: garbageRise ? LineBreakerModes.garbageIntervalFor(level) : null,
+        lastDropTime: 0,
+        lockDelay: options.lockDelay >= 0 ? options.lockDelay : LOCK_DELAY,
+        lockStart: null, // Game time the current piece landed, null while it falls
+        lockResets: 0,
+        time: 0 // Game time in ms (whole ms through engine.tick), frozen while paused
+    };
+}
+
+// Deep copy a state so it can be stepped without touching the original
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Draw the next number in [0, 1) from the state's seeded stream
+function random(state) {
+    const result = LineBreakerRandom.nextRandom(state.rngState);
+    state.rngState = result.state;
+    return result.value;
+}
+
+// Create Random Piece using the game's piece generator
+function createPiece(state) {
+    const generator = LineBreakerGenerators.getGenerator(state.generator);
+    const shapeIndex = generator.next(state, () => random(state));
+    return {
+        type: shapeIndex, // Index into SHAPES/COLORS
+        shape: SHAPES[shapeIndex],
+        color: COLORS[shapeIndex],
+        x: Math.floor(COLS / 2) - 1,
+        y: 0,
+        rotation: 0, // 0 = spawn, then clockwise quarter turns
+        lastKick: null, // Kick used by the last turn, null once the piece moved since (T-spins)
+        // Special block it carries (BLOCK_TYPES), dealt more often at higher levels
+        special: LineBreakerBlocks.pickSpecial(state.level, state.gravityRule !== 'off', random(state))
+    };
+}
+
+// Rotate a square matrix a quarter turn (dir 1 = clockwise, -1 = counter-clockwise)
+function rotateMatrix(matrix, dir) {
+    const size = matrix.length;
+    const rotated = [];
+    for (let row = 0; row < size; row++) {
+        rotated.push([]);
+        for (let col = 0; col < size; col++) {
+            rotated[row].push(dir > 0 ?
+                matrix[size - 1 - col][row] :
+                matrix[col][size - 1 - row]);
+        }
+    }
+    return rotated;
+}
+
+// Does gravity pull sideways (toward the left or right wall)?
+function isSideways(gravity) {
+    return GRAVITY_VECTORS[gravity].x !== 0;
+}
+
+// Is the board seen mirrored from the floor under a gravity? The floor's
+// right and down (MOVE_VECTORS and GRAVITY_VECTORS) are the screen's, turned
+// a quarter turn under LEFT, and mirrored under UP and RIGHT.
+function isMirrored(gravity) {
+    const right = MOVE_VECTORS[gravity];
+    const down = GRAVITY_VECTORS[gravity];
+    return right.x * down.y - right.y * down.x < 0;
+}
+
+// A piece's rotation box for a rotation state, laid out on screen so the
+// piece keeps its orientation relative to the floor it falls toward: the
+// box's columns run along the move direction and its rows along gravity.
+function rotationBox(type, rotation, gravity) {
+    const [size, offset] = ROTATION_BOXES[type];
+    let box = [];
+    for (let row = 0; row < size; row++) {
+        box.push(new Array(size).fill(0));
+    }
+    SHAPES[type].forEach((cells, row) => {
+        cells.forEach((cell, col) => {
+            box[row + offset][col] = cell;
+        });
+    });
+    for (let turn = 0; turn < rotation; turn++) {
+        box = rotateMatrix(box, 1);
+    }
+
+    const right = MOVE_VECTORS[gravity];
+    const down = GRAVITY_VECTORS[gravity];
+    const offsetX = right.x + down.x < 0 ? size - 1 : 0;
+    const offsetY = right.y + down.y < 0 ? size - 1 : 0;
+    const screen = box.map(cells => cells.map(() => 0));
+    box.forEach((cells, row) => {
+        cells.forEach((cell, col) => {
+            screen[offsetY + col * right.y + row * down.y][offsetX + col * right.x + row * down.x] = cell;
+        });
+    });
+    return screen;
+}
+
+// Trim a rotation box down to the filled shape and where it sits in the box
+function trimBox(box) {
+    const rows = [];
+    const cols = [];
+    box.forEach((cells, row) => {
+        cells.forEach((cell, col) => {
+            if (cell) {
+                rows.push(row);
+                cols.push(col);
+            }
+        });
+    });
+    const top = Math.min(...rows);
+    const left = Math.min(...cols);
+    return {
+        shape: box.slice(top, Math.max(...rows) + 1)
+            .map(cells => cells.slice(left, Math.max(...cols) + 1)),
+        row: top,
+        col: left
+    };
+}
+
+// Shape of a piece type in a rotation state for the current gravity
+function orientShape(type, rotation, gravity) {
+    return trimBox(rotationBox(type, rotation, gravity)).shape;
+}
+
+// Kicks to try when turning a piece from one rotation state to another
+function getKicks(type, from, to) {
+    const table = type === 0 ? I_KICKS : type <= 6 && type !== 1 ? SRS_KICKS : null;
+    if (!table) return SMALL_KICKS;
+    if ((from + 1) % 4 === to) return table[from];
+    return table[to].map(([x, y]) => [-x, -y]);
+}
+
+// Find the block of a shape that carries a special block (center of its cells)
+function findSpecialCell(shape) {
+    let blockCount = 0;
+    let totalRow = 0, totalCol = 0;
+    for (let row = 0; row < shape.length; row++) {
+        for (let col = 0; col < shape[row].length; col++) {
+            if (shape[row][col]) {
+                totalRow += row;
+                totalCol += col;
+                blockCount++;
+            }
+        }
+    }
+    if (blockCount === 0) return null;
+    return {
+        row: Math.round(totalRow / blockCount),
+        col: Math.round(totalCol / blockCount)
+    };
+}
+
+// Collision Detection
+function collision(state, x, y, shape) {
+    for (let row = 0; row < shape.length; row++) {
+        for (let col = 0; col < shape[row].length; col++) {
+            if (shape[row][col]) {
+                const newX = x + col;
+                const newY = y + row;
+
+                // Check boundaries - handle both gravity directions
+                if (newX < 0 || newX >= COLS || newY < 0 || newY >= ROWS) {
+                    return true;
+                }
+
+                // Check if position is already occupied
+                if (state.grid[newY][newX]) {
+                    return true;
+                }
+            }
+        }
+    }
+    return false;
+}
+
+// Find where the current piece would land, following gravity: { x, y }
+function findLanding(state) {
+    const piece = state.currentPiece;
+    const pull = GRAVITY_VECTORS[state.currentGravity];
+    let x = piece.x;
+    let y = piece.y;
+    while (!collision(state, x + pull.x, y + pull.y, piece.shape)) {
+        x += pull.x;
+        y += pull.y;
+    }
+    return { x: x, y: y };
+}
+
+// Is the current piece resting on something in the gravity direction
+function isGrounded(state) {
+    const piece = state.currentPiece;
+    const pull = GRAVITY_VECTORS[state.currentGravity];
+    return collision(state, piece.x + pull.x, piece.y + pull.y, piece.shape);
+}
+
+// Start, restart or cancel the lock delay after the piece moved. Moves and
+// rotations on the ground (reset) restart it until the resets run out.
+// Moving or turning off the ground uses up a reset too, and once they are
+// gone the piece locks as soon as it lands, so it can't be spun for ever.
+function updateLock(state, emit, reset) {
+    if (!isGrounded(state)) {
+        if (reset && state.lockStart !== null && state.lockResets < MAX_LOCK_RESETS) state.lockResets++;
+        state.lockStart = null;
+    } else if (state.lockStart === null) {
+        state.lockStart = state.lockResets < MAX_LOCK_RESETS ? state.time : state.time - state.lockDelay;
+        emit('landed', { lockDelay: state.lockDelay });
+    } else if (reset && state.lockResets < MAX_LOCK_RESETS) {
+        state.lockResets++;
+        state.lockStart = state.time;
+    }
+}
+
+// How far the landed piece is through its lock delay (0-1), null while falling
+function lockProgress(state) {
+    if (state.lockStart === null || !state.currentPiece) return null;
+    if (state.lockDelay <= 0) return 1;
+    return Math.min(1, (state.time - state.lockStart) / state.lockDelay);
+}
+
+// How many lines a cell is in from the spawn edge (the wall opposite gravity)
+function spawnDistance(gravity, row, col) {
+    switch (gravity) {
+        case GRAVITY.UP:
+            return ROWS - 1 - row;
+        case GRAVITY.LEFT:
+            return COLS - 1 - col;
+        case GRAVITY.RIGHT:
+            return col;
+        default:
+            return row;
+    }
+}
+
+// Check if ANY blocks exist in the danger zone next to the spawn edge
+function isInDangerZone(state) {
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            if (state.grid[row][col] && spawnDistance(state.currentGravity, row, col) < DANGER_ROWS) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Start (or restart) a game; the same seed always deals the same pieces
+function startGame(state, emit, options) {
+    Object.assign(state, createState(options));
+    while (state.queue.length < QUEUE_SIZE) {
+        state.queue.push(createPiece(state));
+    }
+    scheduleTimedShift(state);
+    spawnPiece(state, emit);
+    emit('start', {
+        seed: state.seed,
+        generator: state.generator,
+        lockDelay: state.lockDelay,
+        mode: state.mode,
+        gravityRule: state.gravityRule,
+        sidewaysGravity: state.sidewaysGravity,
+        cascade: state.cascade
+    });
+    emit('score', { score: state.score, lines: state.lines, level: state.level });
+}
+
+// Spawn New Piece
+function spawnPiece(state, emit) {
+    const piece = state.queue.shift();
+    state.queue.push(createPiece(state));
+    state.canHold = true;
+    placeAtSpawn(state, emit, piece);
+}
+
+// Make a piece the current piece at the gravity-appropriate edge
+function placeAtSpawn(state, emit, piece) {
+    state.currentPiece = piece;
+    state.lockStart = null;
+    state.lockResets = 0;
+
+    // Spawn orientation, turned to face the floor
+    piece.rotation = 0;
+    piece.lastKick = null;
+    piece.shape = orientShape(piece.type, 0, state.currentGravity);
+
+    // Centered across the pull, against the spawn edge
+    if (isSideways(state.currentGravity)) {
+        piece.y = Math.floor(ROWS / 2) - 1;
+    } else {
+        piece.x = Math.floor(COLS / 2) - 1;
+    }
+    moveToSpawnEdge(state, piece);
+
+    emit('spawn', { piece: piece, queue: state.queue });
+
+    // Check if piece can be placed (game over check)
+    if (collision(state, piece.x, piece.y, piece.shape)) {
+        topOut(state, emit);
+    }
+}
+
+// The piece has no room at the spawn edge: the game is over, unless the mode
+// has no game over and starts again on an empty board
+function topOut(state, emit) {
+    if (LineBreakerModes.getMode(state.mode).topOut === 'clear') {
+        state.grid = createBoard(0);
+        state.blockTypes = createBoard(BLOCK_TYPES.NORMAL);
+        emit('boardCleared', {});
+    } else {
+        endGame(state, emit, 'topOut');
+    }
+}
+
+// Put a piece against the spawn edge, keeping its place across the pull
+function moveToSpawnEdge(state, piece) {
+    const pull = GRAVITY_VECTORS[state.currentGravity];
+    if (pull.y > 0) {
+        piece.y = 0;
+    } else if (pull.y < 0) {
+        piece.y = ROWS - piece.shape.length;
+    } else if (pull.x > 0) {
+        piece.x = 0;
+    } else {
+        piece.x = COLS - piece.shape[0].length;
+    }
+}
+
+// End the game: 'goal' (the mode's goal was reached), 'topOut' or 'quit'
+function endGame(state, emit, outcome) {
+    const mode = LineBreakerModes.getMode(state.mode);
+    state.isGameOver = true;
+    state.isPaused = false; // Quitting from the pause screen
+    state.outcome = outcome;
+    emit('gameOver', {
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        mode: state.mode,
+        outcome: outcome,
+        time: mode.timeLimit ? Math.min(state.time, mode.timeLimit) : state.time
+    });
+}
+
+// Lock the piece, clear lines and score them, then either finish the game or
+// bring in the next piece
+function settle(state, emit) {
+    const tSpin = detectTSpin(state);
+    lockPiece(state, emit);
+    let cleared = clearLines(state, emit);
+    scoreLock(state, emit, tSpin, cleared);
+
+    // Cascades: what a clear left floating falls, which can fill more lines
+    let chain = 1;
+    while (state.cascade && cleared) {
+        dropFloatingBlocks(state);
+        cleared = clearLines(state, emit);
+        if (cleared) {
+            chain++;
+            emit('cascade', { chain: chain });
+            scoreChain(state, emit, cleared, chain);
+        }
+    }
+    if (LineBreakerModes.goalReached(LineBreakerModes.getMode(state.mode), state)) {
+        endGame(state, emit, 'goal');
+    } else {
+        spawnPiece(state, emit);
+    }
+}
+
+// Hold Piece: stash the current piece, swapping with the held one if any
+function hold(state, emit) {
+    if (!state.canHold) return;
+    const piece = state.currentPiece;
+    const held = state.holdPiece;
+
+    // Held pieces go back to their spawn orientation; the bomb flag stays with them
+    piece.shape = SHAPES[piece.type];
+    piece.rotation = 0;
+    state.holdPiece = piece;
+    emit('hold', { piece: piece });
+
+    if (held) {
+        placeAtSpawn(state, emit, held);
+    } else {
+        const next = state.queue.shift();
+        state.queue.push(createPiece(state));
+        placeAtSpawn(state, emit, next);
+    }
+    state.canHold = false;
+}
+
+// Move Piece across the pull: dir 1 is the player's right (MOVE_VECTORS), -1 the left
+function move(state, emit, dir) {
+    const piece = state.currentPiece;
+    const step = MOVE_VECTORS[state.currentGravity];
+    const newX = piece.x + step.x * dir;
+    const newY = piece.y + step.y * dir;
+    if (!collision(state, newX, newY, piece.shape)) {
+        piece.x = newX;
+        piece.y = newY;
+        piece.lastKick = null;
+        emit('move', { dir: dir });
+        updateLock(state, emit, true);
+    }
+}
+
+// Rotate Piece
+// dir 1 turns clockwise and -1 counter-clockwise as seen on screen. The piece
+// turns around the center of its rotation box, and if it doesn't fit there
+// the kicks are tried in order. Kicks are relative to the floor, so they
+// follow gravity, and where the board is mirrored (UP and RIGHT) a clockwise
+// turn on screen is a counter-clockwise turn relative to the floor.
+function rotate(state, emit, dir = 1) {
+    const piece = state.currentPiece;
+    const gravity = state.currentGravity;
+    const from = piece.rotation;
+    const to = (from + (isMirrored(gravity) ? -dir : dir) + 4) % 4;
+    const current = trimBox(rotationBox(piece.type, from, gravity));
+    const next = trimBox(rotationBox(piece.type, to, gravity));
+    const boxX = piece.x - current.col;
+    const boxY = piece.y - current.row;
+    const right = MOVE_VECTORS[gravity];
+    const down = GRAVITY_VECTORS[gravity];
+
+    const kicks = getKicks(piece.type, from, to);
+    for (let kick = 0; kick < kicks.length; kick++) {
+        const [kickX, kickY] = kicks[kick];
+        const x = boxX + next.col + kickX * right.x - kickY * down.x;
+        const y = boxY + next.row + kickX * right.y - kickY * down.y;
+        if (!collision(state, x, y, next.shape)) {
+            piece.x = x;
+            piece.y = y;
+            piece.shape = next.shape;
+            piece.rotation = to;
+            piece.lastKick = kick;
+            emit('rotate', { dir: dir, kicked: kickX !== 0 || kickY !== 0 });
+            updateLock(state, emit, true);
+            return;
+        }
+    }
+}
+
+// Drop Piece one step along gravity. A piece that can't fall any further
+// starts its lock delay; the tick locks it once the delay runs out.
+// Soft drops are player-driven and score a point per cell.
+function drop(state, emit, soft) {
+    const piece = state.currentPiece;
+    const pull = GRAVITY_VECTORS[state.currentGravity];
+    const newX = piece.x + pull.x;
+    const newY = piece.y + pull.y;
+
+    if (!collision(state, newX, newY, piece.shape)) {
+        piece.x = newX;
+        piece.y = newY;
+        piece.lastKick = null;
+        emit('fall', { soft: !!soft });
+        if (soft) {
+            state.score += LineBreakerScoring.SOFT_DROP_SCORE;
+            emit('score', { score: state.score, lines: state.lines, level: state.level });
+        }
+    }
+    updateLock(state, emit, false);
+}
+
+// Lock the landed piece in place and bring in the next one
+function lock(state, emit) {
+    emit('drop', {});
+    settle(state, emit);
+}
+
+// Hard Drop
+function hardDrop(state, emit) {
+    const piece = state.currentPiece;
+    const landing = findLanding(state);
+    const pull = GRAVITY_VECTORS[state.currentGravity];
+
+    // Record all cells the piece passes through for the drop animation
+    const path = [];
+    while (piece.x !== landing.x || piece.y !== landing.y) {
+        piece.x += pull.x;
+        piece.y += pull.y;
+        piece.lastKick = null;
+        for (let row = 0; row < piece.shape.length; row++) {
+            for (let col = 0; col < piece.shape[row].length; col++) {
+                if (piece.shape[row][col]) {
+                    path.push({ row: piece.y + row, col: piece.x + col });
+                }
+            }
+        }
+        state.score += LineBreakerScoring.HARD_DROP_SCORE;
+    }
+
+    emit('hardDrop', { path: path });
+    settle(state, emit);
+    emit('score', { score: state.score, lines: state.lines, level: state.level });
+}
+
+// Lock Piece to Grid
+function lockPiece(state, emit) {
+    const piece = state.currentPiece;
+    const shape = piece.shape;
+    const block = LineBreakerBlocks.SPECIAL_BLOCKS[piece.special];
+    const specialCell = block && !block.wholePiece ? findSpecialCell(shape) : null;
+    const cells = [];
+
+    for (let row = 0; row < shape.length; row++) {
+        for (let col = 0; col < shape[row].length; col++) {
+            if (shape[row][col]) {
+                const gridY = piece.y + row;
+                const gridX = piece.x + col;
+                if (gridY >= 0) {
+                    state.grid[gridY][gridX] = piece.color;
+                    cells.push({ row: gridY, col: gridX });
+                    // Mark special blocks: the center one, or all of a whole-piece special
+                    const isSpecial = block && (block.wholePiece ||
+                        (row === specialCell.row && col === specialCell.col));
+                    state.blockTypes[gridY][gridX] = isSpecial ? piece.special : BLOCK_TYPES.NORMAL;
+                }
+            }
+        }
+    }
+
+    emit('lock', { cells: cells, dangerZone: isInDangerZone(state) });
+}
+
+// Clear Completed Lines
+// Full rows and columns are cleared along with everything the special blocks
+// in them reach. Specials go off in a fixed order: the ones in the full lines
+// in reading order (top to bottom, left to right), then the ones their effects
+// reach, in the order they are reached; each goes off once. Ice thaws instead
+// of being cleared, and a line along the floor only collapses once it is empty.
+// Returns how many rows and columns were cleared and how many more blocks the
+// specials took, or null when nothing was cleared.
+function clearLines(state, emit) {
+    const { grid, blockTypes } = state;
+    const rowsToClear = [];
+    const colsToClear = [];
+
+    // Check rows
+    for (let row = ROWS - 1; row >= 0; row--) {
+        if (grid[row].every(cell => cell !== 0)) {
+            rowsToClear.push(row);
+        }
+    }
+
+    // Check columns (vertical lines)
+    for (let col = 0; col < COLS; col++) {
+        let columnFilled = true;
+        for (let row = 0; row < ROWS; row++) {
+            if (grid[row][col] === 0) {
+                columnFilled = false;
+                break;
+            }
+        }
+        if (columnFilled) {
+            colsToClear.push(col);
+        }
+    }
+
+    if (rowsToClear.length === 0 && colsToClear.length === 0) return null;
+
+    // Remember the cleared cells so the renderer can flash them
+    const cells = [];
+    for (let row of rowsToClear) {
+        for (let col = 0; col < COLS; col++) {
+            cells.push({ row, col, color: grid[row][col] });
+        }
+    }
+    for (let col of colsToClear) {
+        for (let row = 0; row < ROWS; row++) {
+            if (!rowsToClear.includes(row)) {
+                cells.push({ row, col, color: grid[row][col] });
+            }
+        }
+    }
+
+    // Cells to clear by "row,col", in the order they were reached
+    const marked = new Map();
+    for (let cell of cells) {
+        marked.set(`${cell.row},${cell.col}`, cell);
+    }
+    const goesOff = cell => ![BLOCK_TYPES.NORMAL, BLOCK_TYPES.ICE].includes(blockTypes[cell.row][cell.col]);
+    const queue = cells.filter(goesOff)
+        .sort((a, b) => a.row - b.row || a.col - b.col);
+
+    // Chain reaction
+    const triggered = [];
+    while (queue.length > 0) {
+        const { row, col } = queue.shift();
+        const type = blockTypes[row][col];
+        const reached = specialReach(state, type, row, col);
+        for (let cell of reached) {
+            const key = `${cell.row},${cell.col}`;
+            if (marked.has(key)) continue;
+            marked.set(key, cell);
+            if (goesOff(cell)) queue.push(cell);
+        }
+        triggered.push({ block: type, row: row, col: col, cells: reached });
+    }
+
+    // Clear the marked cells; ice thaws into a normal block instead
+    const removed = [];
+    for (let { row, col } of marked.values()) {
+        if (blockTypes[row][col] === BLOCK_TYPES.ICE) {
+            blockTypes[row][col] = BLOCK_TYPES.NORMAL;
+            continue;
+        }
+        grid[row][col] = 0;
+        blockTypes[row][col] = BLOCK_TYPES.NORMAL;
+        removed.push({ row, col });
+    }
+
+    // Emptied lines along the floor collapse, then the gaps left anywhere
+    // else close up along gravity
+    if (isSideways(state.currentGravity)) {
+        const emptied = colsToClear.filter(col => grid.every(cells => !cells[col]));
+        const across = new Set(removed.filter(cell => !emptied.includes(cell.col)).map(cell => cell.row));
+        collapseColumns(state, emptied);
+        across.forEach(row => collapseLine(state, row));
+    } else {
+        const emptied = rowsToClear.filter(row => grid[row].every(cell => !cell));
+        const across = new Set(removed.filter(cell => !emptied.includes(cell.row)).map(cell => cell.col));
+        collapseRows(state, emptied);
+        across.forEach(col => collapseLine(state, col));
+    }
+    const linesCleared = rowsToClear.length + colsToClear.length;
+
+    for (let special of triggered) {
+        emit('special', special);
+    }
+
+    state.lines += linesCleared;
+    state.linesSinceShift += linesCleared;
+
+    // Level progression and speed come from the game mode
+    const previousLevel = state.level;
+    const newLevel = LineBreakerModes.levelFor(LineBreakerModes.getMode(state.mode), state.lines);
+    if (newLevel > state.level) {
+        state.level = newLevel;
+        state.dropInterval = LineBreakerModes.dropIntervalFor(state.level);
+    }
+
+    emit('linesCleared', {
+        rows: rowsToClear,
+        cols: colsToClear,
+        cells: cells,
+        count: linesCleared,
+        specials: triggered.length
+    });
+    if (state.level > previousLevel) {
+        emit('levelUp', { level: state.level });
+    }
+
+    // Gravity swap blocks and event rules arm a shift
+    const rule = LineBreakerGravityRules.getRule(state.gravityRule);
+    const wentOff = type => triggered.some(special => special.block === type);
+    if (wentOff(BLOCK_TYPES.GRAVITY_SWAP) ||
+        (rule.everyLines && state.linesSinceShift >= rule.everyLines) ||
+        (rule.onBomb && (wentOff(BLOCK_TYPES.BOMB) || wentOff(BLOCK_TYPES.COLOR_BOMB)))) {
+        scheduleShift(state, emit, state.time + LineBreakerGravityRules.EVENT_SHIFT_DELAY);
+    }
+
+    return {
+        rows: rowsToClear.length,
+        cols: colsToClear.length,
+        specialCells: marked.size - cells.length
+    };
+}
+
+// T-Spin Detection
+// A T piece locking right after a turn, with three of the four corners around
+// its center blocked (walls count), is a T-spin. It is a mini one when only
+// one of the two corners beside its nub is blocked, unless the turn needed
+// the last kick. Returns null, 'mini' or 'full'.
+function detectTSpin(state) {
+    const piece = state.currentPiece;
+    if (piece.type !== 2 || piece.lastKick === null) return null;
+
+    // The T's center is the center of its rotation box
+    const box = rotationBox(piece.type, piece.rotation, state.currentGravity);
+    const trimmed = trimBox(box);
+    const centerX = piece.x - trimmed.col + 1;
+    const centerY = piece.y - trimmed.row + 1;
+    const blocked = ([dx, dy]) => {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        return x < 0 || x >= COLS || y < 0 || y >= ROWS || state.grid[y][x] !== 0;
+    };
+    const corners = [[-1, -1], [1, -1], [-1, 1], [1, 1]].filter(blocked);
+    if (corners.length < 3) return null;
+
+    // The nub is the arm of the T with nothing on the opposite side
+    const [nubX, nubY] = [[0, -1], [1, 0], [0, 1], [-1, 0]]
+        .find(([dx, dy]) => box[1 + dy][1 + dx] && !box[1 - dy][1 - dx]);
+    const front = nubX === 0 ? [[-1, nubY], [1, nubY]] : [[nubX, -1], [nubX, 1]];
+    const lastKick = getKicks(piece.type, 0, 1).length - 1;
+    return front.every(blocked) || piece.lastKick === lastKick ? 'full' : 'mini';
+}
+
+// Score a locked piece (see scoring.js) and carry the combo and back-to-back
+// streak on to the next one
+function scoreLock(state, emit, tSpin, cleared) {
+    const lock = {
+        rows: cleared ? cleared.rows : 0,
+        cols: cleared ? cleared.cols : 0,
+        tSpin: tSpin,
+        perfectClear: !!cleared && state.grid.every(cells => cells.every(cell => !cell)),
+        specialCells: cleared ? cleared.specialCells : 0,
+        level: state.level
+    };
+    const result = LineBreakerScoring.scoreLock(lock, state.streak);
+    state.streak = result.streak;
+    if (result.awards.length === 0 && !cleared) return;
+
+    const total = result.awards.reduce((sum, award) => sum + award.points, 0);
+    state.score += total;
+    // What was cleared goes along too, for versus attacks (garbage.js)
+    emit('scored', {
+        awards: result.awards,
+        total: total,
+        combo: state.streak.combo,
+        lines: lock.rows + lock.cols,
+        tSpin: tSpin,
+        perfectClear: lock.perfectClear
+    });
+    emit('score', { score: state.score, lines: state.lines, level: state.level });
+}
+
+// Score a follow-up clear of a cascade; it leaves the streak alone
+function scoreChain(state, emit, cleared, chain) {
+    const lock = {
+        rows: cleared.rows,
+        cols: cleared.cols,
+        perfectClear: state.grid.every(cells => cells.every(cell => !cell)),
+        specialCells: cleared.specialCells,
+        level: state.level
+    };
+    const awards = LineBreakerScoring.scoreChain(lock, chain);
+    const total = awards.reduce((sum, award) => sum + award.points, 0);
+    state.score += total;
+    emit('scored', {
+        awards: awards,
+        total: total,
+        combo: state.streak.combo,
+        chain: chain,
+        lines: lock.rows + lock.cols,
+        tSpin: null,
+        perfectClear: lock.perfectClear
+    });
+    emit('score', { score: state.score, lines: state.lines, level: state.level });
+}
+
+// Blocks a special block's effect reaches, in reading order: a bomb the 5x5
+// area around it, a laser its row and column, a color bomb its color
+function specialReach(state, type, bombRow, bombCol) {
+    const grid = state.grid;
+    const color = grid[bombRow][bombCol];
+    const inReach = {
+        [BLOCK_TYPES.BOMB]: (row, col) => Math.abs(row - bombRow) <= 2 && Math.abs(col - bombCol) <= 2,
+        [BLOCK_TYPES.LASER]: (row, col) => row === bombRow || col === bombCol,
+        [BLOCK_TYPES.COLOR_BOMB]: (row, col) => grid[row][col] === color
+    }[type];
+    const cells = [];
+    if (!inReach) return cells;
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            if (grid[row][col] && inReach(row, col)) {
+                cells.push({ row, col, color: grid[row][col] });
+            }
+        }
+    }
+    return cells;
+}
+
+// Take cleared rows out of the board; the rows beyond them fall toward the
+// floor and empty rows come in at the spawn edge
+function collapseRows(state, rows) {
+    const fromTop = state.currentGravity === GRAVITY.DOWN;
+    for (const [board, empty] of [[state.grid, 0], [state.blockTypes, BLOCK_TYPES.NORMAL]]) {
+        const kept = board.filter((cells, row) => !rows.includes(row));
+        while (kept.length < ROWS) {
+            const cells = new Array(COLS).fill(empty);
+            if (fromTop) {
+                kept.unshift(cells);
+            } else {
+                kept.push(cells);
+            }
+        }
+        board.splice(0, ROWS, ...kept);
+    }
+}
+
+// Take cleared columns out under sideways gravity, the same way
+function collapseColumns(state, cols) {
+    const fromLeft = state.currentGravity === GRAVITY.RIGHT;
+    for (const [board, empty] of [[state.grid, 0], [state.blockTypes, BLOCK_TYPES.NORMAL]]) {
+        for (let row = 0; row < ROWS; row++) {
+            const kept = board[row].filter((cell, col) => !cols.includes(col));
+            const padding = new Array(COLS - kept.length).fill(empty);
+            board[row] = fromLeft ? padding.concat(kept) : kept.concat(padding);
+        }
+    }
+}
+
+// Let the blocks in one line across the floor (a column, or a row under
+// sideways gravity) fall toward the floor, closing the gaps between them
+function collapseLine(state, index) {
+    const { grid, blockTypes } = state;
+    const gravity = state.currentGravity;
+    const cells = [];
+    for (let i = 0; i < (isSideways(gravity) ? COLS : ROWS); i++) {
+        cells.push(isSideways(gravity) ? { row: index, col: i } : { row: i, col: index });
+    }
+    // Floor first
+    cells.sort((a, b) => spawnDistance(gravity, b.row, b.col) - spawnDistance(gravity, a.row, a.col));
+
+    const blocks = cells
+        .filter(cell => grid[cell.row][cell.col])
+        .map(cell => ({ color: grid[cell.row][cell.col], type: blockTypes[cell.row][cell.col] }));
+    cells.forEach((cell, i) => {
+        grid[cell.row][cell.col] = blocks[i] ? blocks[i].color : 0;
+        blockTypes[cell.row][cell.col] = blocks[i] ? blocks[i].type : BLOCK_TYPES.NORMAL;
+    });
+}
+
+// Let every block fall toward the floor, so none is left floating
+function dropFloatingBlocks(state) {
+    const lines = isSideways(state.currentGravity) ? ROWS : COLS;
+    for (let line = 0; line < lines; line++) {
+        collapseLine(state, line);
+    }
+}
+
+// Draw the next number in [0, 1) from the state's gravity timing stream
+function gravityRandom(state) {
+    const result = LineBreakerRandom.nextRandom(state.gravityRngState);
+    state.gravityRngState = result.state;
+    return result.value;
+}
+
+// Set the next shift from the gravity rule's clock (none for event-only rules)
+function scheduleTimedShift(state) {
+    const rule = LineBreakerGravityRules.getRule(state.gravityRule);
+    const interval = LineBreakerGravityRules.nextInterval(rule, state.level, () => gravityRandom(state));
+    state.nextGravityShift = interval === null ? null : state.time + interval;
+}
+
+// Bring the next shift forward to a game time; an earlier pending shift wins
+function scheduleShift(state, emit, time) {
+    if (state.nextGravityShift !== null && state.nextGravityShift <= time) return;
+    state.nextGravityShift = time;
+    state.gravityWarning = false;
+    emit('gravityScheduled', { shiftAt: time });
+}
+
+// Direction the next shift turns gravity to: the opposite one, or a quarter
+// turn clockwise when sideways gravity is on
+function nextGravity(state) {
+    if (!state.sidewaysGravity) {
+        return state.currentGravity === GRAVITY.DOWN ? GRAVITY.UP : GRAVITY.DOWN;
+    }
+    const index = SIDEWAYS_ORDER.indexOf(state.currentGravity);
+    return SIDEWAYS_ORDER[(index + 1) % SIDEWAYS_ORDER.length];
+}
+
+// Shift Gravity Direction
+// Flipping to the opposite direction mirrors the board, so the stack and the
+// falling piece keep their places relative to the floor. A quarter turn can't
+// do that on a board that isn't square, so every block falls to the new floor.
+function shiftGravity(state, emit) {
+    const piece = state.currentPiece;
+    const previous = state.currentGravity;
+    const gravity = nextGravity(state);
+    const flip = isSideways(previous) === isSideways(gravity);
+    state.currentGravity = gravity;
+
+    if (flip && isSideways(gravity)) {
+        state.grid.forEach(cells => cells.reverse());
+        state.blockTypes.forEach(cells => cells.reverse());
+    } else if (flip) {
+        state.grid.reverse();
+        state.blockTypes.reverse();
+    } else {
+        dropFloatingBlocks(state);
+    }
+
+    if (piece) {
+        const width = piece.shape[0].length;
+        const height = piece.shape.length;
+        piece.shape = orientShape(piece.type, piece.rotation, gravity);
+        piece.lastKick = null;
+
+        if (flip && isSideways(gravity)) {
+            piece.x = COLS - piece.x - width;
+        } else if (flip) {
+            piece.y = ROWS - piece.y - height;
+        } else {
+            // Turn in place around the piece's center, inside the board
+            const newWidth = piece.shape[0].length;
+            const newHeight = piece.shape.length;
+            piece.x = Math.min(COLS - newWidth, Math.max(0, Math.round(piece.x + (width - newWidth) / 2)));
+            piece.y = Math.min(ROWS - newHeight, Math.max(0, Math.round(piece.y + (height - newHeight) / 2)));
+        }
+
+        // If new position causes collision, adjust to safe position
+        if (collision(state, piece.x, piece.y, piece.shape)) {
+            moveToSpawnEdge(state, piece);
+        }
+    }
+
+    emit('gravityShift', { gravity: gravity, previous: previous });
+
+    if (piece) {
+        // Blocks that fell to a new floor can bury the piece even at the spawn edge
+        if (collision(state, piece.x, piece.y, piece.shape)) {
+            topOut(state, emit);
+            if (state.isGameOver) return;
+        }
+
+        // The piece may now be resting against the other side
+        state.lockStart = null;
+        updateLock(state, emit, false);
+    }
+
+    // Blocks that fell to a new floor can complete lines
+    if (!flip) {
+        clearLines(state, emit);
+        if (LineBreakerModes.goalReached(LineBreakerModes.getMode(state.mode), state)) {
+            endGame(state, emit, 'goal');
+        }
+    }
+
+    // Every shift restarts the rule: the clock runs again and line counts start over
+    state.gravityWarning = false;
+    state.linesSinceShift = 0;
+    scheduleTimedShift(state);
+}
+
+// Garbage
+// Cell a distance in from the spawn edge and a place across the pull
+function cellAcross(gravity, distance, across) {
+    switch (gravity) {
+        case GRAVITY.UP:
+            return { row: ROWS - 1 - distance, col: across };
+        case GRAVITY.LEFT:
+            return { row: across, col: COLS - 1 - distance };
+        case GRAVITY.RIGHT:
+            return { row: across, col: distance };
+        default:
+            return { row: distance, col: across };
+    }
+}
+
+// Push the stack toward the spawn edge with lines of garbage (garbage.js)
+// rising from the floor, each with its hole at the same place across the pull.
+// Blocks pushed off the board top out; the falling piece is carried along
+// and tops out too when there is no room left for it.
+function addGarbage(state, emit, lines, hole) {
+    const gravity = state.currentGravity;
+    const depth = isSideways(gravity) ? COLS : ROWS;
+    const width = isSideways(gravity) ? ROWS : COLS;
+    const count = Math.max(0, Math.min(lines, depth));
+    if (count === 0) return;
+    const { grid, blockTypes } = state;
+
+    let overflow = false;
+    for (let distance = 0; distance < depth; distance++) {
+        for (let across = 0; across < width; across++) {
+            const to = cellAcross(gravity, distance, across);
+            if (distance < count && grid[to.row][to.col]) overflow = true;
+            if (distance < depth - count) {
+                const from = cellAcross(gravity, distance + count, across);
+                grid[to.row][to.col] = grid[from.row][from.col];
+                blockTypes[to.row][to.col] = blockTypes[from.row][from.col];
+            } else {
+                grid[to.row][to.col] = across === hole ? 0 : LineBreakerGarbage.GARBAGE_COLOR;
+                blockTypes[to.row][to.col] = BLOCK_TYPES.NORMAL;
+            }
+        }
+    }
+
+    const piece = state.currentPiece;
+    let carried = false;
+    if (piece) {
+        const pull = GRAVITY_VECTORS[gravity];
+        for (let i = 0; i < count && collision(state, piece.x, piece.y, piece.shape); i++) {
+            piece.x -= pull.x;
+            piece.y -= pull.y;
+            carried = true;
+        }
+    }
+
+    emit('garbage', { lines: count, hole: hole, dangerZone: isInDangerZone(state) });
+    if (overflow || (piece && collision(state, piece.x, piece.y, piece.shape))) {
+        topOut(state, emit);
+        return;
+    }
+    // Rising garbage can land the piece, or lift it to rest somewhere new
+    if (piece) {
+        if (carried) state.lockStart = null;
+        updateLock(state, emit, false);
+    }
+}
+
+// Raise the mode's garbage lines that are due. Each next one is timed from
+// when the last was due, not from this tick, so replays (which tick to their
+// recorded actions) raise them at the same game times. That needs the live
+// clock on whole milliseconds, as replays store them (see engine.tick).
+function riseGarbage(state, emit) {
+    while (state.nextGarbageRise !== null && state.time >= state.nextGarbageRise && !state.isGameOver) {
+        state.nextGarbageRise += LineBreakerModes.garbageIntervalFor(state.level);
+        const width = isSideways(state.currentGravity) ? ROWS : COLS;
+        const result = LineBreakerRandom.nextRandom(state.garbageRngState);
+        state.garbageRngState = result.state;
+        addGarbage(state, emit, 1, Math.floor(result.value * width));
+    }
+}
+
+// Toggle Pause
+function togglePause(state, emit) {
+    state.isPaused = !state.isPaused;
+    emit(state.isPaused ? 'pause' : 'resume', {});
+}
+
+// Advance the game clock, running the drop and gravity shift timers.
+// Timer-driven drops and shifts go through applyAction so they are emitted
+// as actions too; replays pass timers: false and re-apply those instead.
+function tick(state, emit, delta, timers) {
+    const mode = LineBreakerModes.getMode(state.mode);
+    state.time += delta;
+    const time = state.time;
+
+    // Timed modes end on the clock, replays included
+    if (mode.timeLimit && LineBreakerModes.goalReached(mode, state)) {
+        endGame(state, emit, 'goal');
+        return;
+    }
+
+    // Rising garbage also runs on the clock, replays included
+    riseGarbage(state, emit);
+    if (state.isGameOver) return;
+
+    // A shift is only due once its warning has been shown on an earlier tick
+    const shiftAt = state.nextGravityShift;
+    const shiftDue = shiftAt !== null && state.gravityWarning && time >= shiftAt;
+
+    // Gravity shift warning (up to 5 seconds before the shift)
+    if (shiftAt !== null && !state.gravityWarning && time >= shiftAt - GRAVITY_WARNING_TIME) {
+        state.gravityWarning = true;
+        emit('gravityWarning', { shiftAt: shiftAt, gravity: nextGravity(state) });
+    }
+
+    if (timers === false) return;
+
+    // Trigger gravity shift
+    if (shiftDue) {
+        applyAction(state, { type: 'shiftGravity' }, emit);
+    }
+
+    if (time - state.lastDropTime > state.dropInterval) {
+        applyAction(state, { type: 'drop' }, emit);
+        state.lastDropTime = time;
+    }
+
+    if (state.lockStart !== null && time - state.lockStart >= state.lockDelay) {
+        applyAction(state, { type: 'lock' }, emit);
+    }
+}
+
+// Apply a single action to a state in place
+function applyAction(state, action, emit) {
+    if (action.type === 'start') {
+        startGame(state, emit, action);
+        return;
+    }
+    if (state.isGameOver || !state.currentPiece) return;
+
+    // Pausing and giving up also work while paused
+    if (action.type === 'togglePause' || action.type === 'end') {
+        emit('action', { action: action, time: state.time });
+        if (action.type === 'end') {
+            endGame(state, emit, 'quit');
+        } else {
+            togglePause(state, emit);
+        }
+        return;
+    }
+    if (state.isPaused) return;
+
+    // Announce every accepted action (except clock ticks) so it can be recorded
+    if (action.type !== 'tick') {
+        emit('action', { action: action, time: state.time });
+    }
+
+    switch (action.type) {
+        case 'move':
+            move(state, emit, action.dir);
+            break;
+        case 'rotate':
+            rotate(state, emit, action.dir);
+            break;
+        case 'drop':
+            drop(state, emit, action.soft);
+            break;
+        case 'hardDrop':
+            hardDrop(state, emit);
+            break;
+        case 'lock':
+            lock(state, emit);
+            break;
+        case 'hold':
+            hold(state, emit);
+            break;
+        case 'shiftGravity':
+            shiftGravity(state, emit);
+            break;
+        case 'garbage':
+            addGarbage(state, emit, action.lines, action.hole);
+            break;
+        case 'armShift':
+            // A shift set off from outside the board (a versus opponent's bomb)
+            scheduleShift(state, emit, state.time + LineBreakerGravityRules.EVENT_SHIFT_DELAY);
+            break;
+        case 'tick':
+            tick(state, emit, action.delta, action.timers);
+            break;
+    }
+}
+
+// Pure step: returns the next state and the events emitted, leaving the input untouched
+function step(state, action) {
+    const next = cloneState(state);
+    const events = [];
+    applyAction(next, action, (type, data) => events.push(Object.assign({ type: type }, data)));
+    return { state: next, events: events };
+}
+
+// Create an engine that holds a state and notifies subscribers of events
+function createEngine() {
+    let state = createState();
+    const listeners = {};
+    let carry = 0; // Part of a millisecond tick() hasn't put on the clock yet
+
+    function emit(type, data) {
+        const event = Object.assign({ type: type }, data);
+        for (const handler of (listeners[type] || []).slice()) handler(event, state);
+        for (const handler of (listeners['*'] || []).slice()) handler(event, state);
+        return event;
+    }
+
+    // Subscribe to an event type ('*' for all); returns an unsubscribe function
+    function on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
+    }
+
+    function off(type, handler) {
+        const handlers = listeners[type];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    // Apply an action and return the events it produced
+    function dispatch(action) {
+        const events = [];
+        applyAction(state, action, (type, data) => events.push(emit(type, data)));
+        return events;
+    }
+
+    // Replace the whole state (replay seeking, tools)
+    function load(newState) {
+        state = newState;
+        carry = 0;
+        return [emit('load', {})];
+    }
+
+    // Advance the clock by a frame's delta, in whole milliseconds only: the
+    // fraction waits for the next frame. Replays store whole-millisecond
+    // times, so this keeps an action from landing on the other side of a
+    // timer (rising garbage, the time limit) when it is played back.
+    function tick(delta) {
+        const whole = Math.floor(delta + carry);
+        carry = delta + carry - whole;
+        return dispatch({ type: 'tick', delta: whole });
+    }
+
+    return {
+        get state() { return state; },
+        on: on,
+        off: off,
+        dispatch: dispatch,
+        load: load,
+        start: (options) => {
+            carry = 0;
+            return dispatch(Object.assign({ type: 'start' }, options));
+        },
+        move: (dir) => dispatch({ type: 'move', dir: dir }),
+        rotate: (dir = 1) => dispatch({ type: 'rotate', dir: dir }),
+        drop: () => dispatch({ type: 'drop' }),
+        softDrop: () => dispatch({ type: 'drop', soft: true }),
+        hardDrop: () => dispatch({ type: 'hardDrop' }),
+        hold: () => dispatch({ type: 'hold' }),
+        shiftGravity: () => dispatch({ type: 'shiftGravity' }),
+        garbage: (lines, hole) => dispatch({ type: 'garbage', lines: lines, hole: hole }),
+        armShift: () => dispatch({ type: 'armShift' }),
+        togglePause: () => dispatch({ type: 'togglePause' }),
+        end: () => dispatch({ type: 'end' }),
+        tick: tick
+    };
+}
+
+const LineBreakerEngine = {
+    COLS: COLS,
+    ROWS: ROWS,
+    COLORS: COLORS,
+    SHAPES: SHAPES,
+    BLOCK_TYPES: BLOCK_TYPES,
+    GRAVITY: GRAVITY,
+    GRAVITY_VECTORS: GRAVITY_VECTORS,
+    MOVE_VECTORS: MOVE_VECTORS,
+    GRAVITY_WARNING_TIME: GRAVITY_WARNING_TIME,
+    QUEUE_SIZE: QUEUE_SIZE,
+    LOCK_DELAY: LOCK_DELAY,
+    MAX_LOCK_RESETS: MAX_LOCK_RESETS,
+    createState: createState,
+    cloneState: cloneState,
+    createEngine: createEngine,
+    step: step,
+    collision: collision,
+    findLanding: findLanding,
+    isSideways: isSideways,
+    nextGravity: nextGravity,
+    spawnDistance: spawnDistance,
+    orientShape: orientShape,
+    findSpecialCell: findSpecialCell,
+    isInDangerZone: isInDangerZone,
+    lockProgress: lockProgress
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerEngine;
+} else {
+    root.LineBreakerEngine = LineBreakerEngine;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -1,49 +1,6 @@
 // Game Configuration
-const COLS = 10;
-const ROWS = 18; // Slightly shorter for better mobile fit
+const { COLS, ROWS, COLORS, BLOCK_TYPES, GRAVITY } = LineBreakerEngine;
 const BLOCK_SIZE = 30;
-const COLORS = [
-    '#FF006E', // Neon Pink
-    '#00F5FF', // Neon Cyan
-    '#FBFF00', // Neon Yellow
-    '#FF5F00', // Neon Orange
-    '#8B00FF', // Neon Purple
-    '#00FF9F', // Neon Mint
-    '#FF1744', // Neon Red
-    '#FFD700', // Neon Gold
-    '#00FFFF', // Neon Aqua
-    '#FF10F0', // Neon Magenta (for small L)
-    '#39FF14', // Neon Lime (for triple horizontal)
-    '#FF007F'  // Neon Rose (for reverse L)
-];
-
-// Tetromino Shapes
-const SHAPES = [
-    [[1, 1, 1, 1]], // I
-    [[1, 1], [1, 1]], // O
-    [[0, 1, 0], [1, 1, 1]], // T
-    [[1, 1, 0], [0, 1, 1]], // S
-    [[0, 1, 1], [1, 1, 0]], // Z
-    [[1, 0, 0], [1, 1, 1]], // L
-    [[0, 0, 1], [1, 1, 1]], // J
-    [[1]], // Single dot
-    [[1, 1]], // Double dot (horizontal)
-    [[1, 0], [1, 1]], // Small L (3 dots)
-    [[1, 1, 1]], // Triple horizontal
-    [[0, 1], [1, 1]] // Small reverse L (3 dots)
-];
-
-// Special Block Types
-const BLOCK_TYPES = {
-    NORMAL: 0,
-    BOMB: 1
-};
-
-// Gravity Directions
-const GRAVITY = {
-    DOWN: 0,
-    UP: 1
-};
 
 // Game State
 // Pulse effect for newly locked blocks
@@ -54,11 +11,46 @@ const LOCK_PULSE_DURATION = 520; // ms (longer)
 let hardDropPath = [];
 let hardDropAnimStart = 0;
 const HARD_DROP_ANIM_DURATION = 250; // ms
+const ACHIEVEMENT_TOAST_DURATION = 3000; // ms each achievement is announced
 let canvas, ctx;
-let grid = [];
-let blockTypes = []; // Track special block types
-let currentPiece = null;
-let nextPiece = null;
+let previewCanvas, previewCtx;
+let holdCanvas, holdCtx;
+let previewCount = 3; // Upcoming pieces shown in the preview (1-5)
+let settings = LineBreakerSettings.defaultSettings(); // Key bindings, held-key timing, touch and mouse
+let settingsOpen = false;
+let statsOpen = false;
+let capturingBinding = null; // { bindings, device, action, index } while waiting for a key or button to bind
+let gamepadActions = {}; // Actions each controller (by index) is holding
+let gamepadButtons = {}; // Buttons each controller had pressed last frame
+let activeGamepadIndex = null; // Controller last used, shown in the settings
+let gamepadInUse = false; // The game was last played with that controller, not the keyboard, touch or mouse
+let gamepadLoop = null; // Polling animation frame, null when no controller is connected
+let playerInput = null; // Keys and buttons held down for gameEngine (createHeldInput)
+let versusMatch = null; // Local two-player match (versus.js), null when none is on
+let versusInputs = []; // Held keys and buttons of each versus player
+let versusContexts = []; // Canvas of each versus player's board
+let versusLoop = null; // Animation frame running the versus match
+let onlineSession = null; // Connection to a netplay server (netplay.js), null when not connected
+let onlineSocket = null;
+let onlineInput = null; // Held keys and buttons for our own online board
+let onlineContexts = {}; // Canvas of each board of the online match, by seat
+let onlineMatchShown = null; // Online match whose boards are on screen
+let onlineLoop = null;
+let engine = null; // Headless rules engine (engine.js) currently shown on the canvas
+let gameEngine = null; // Engine running the player's own game; input always goes here
+let recorder = null; // Records gameEngine's games for replays
+let replayPlayer = null; // Active replay playback, null during normal play
+let replayReturnTo = null; // Overlay to show again when the replay is closed
+let waitingWorker = null; // Downloaded update (service-worker.js) waiting for the player to reload
+let savedGame = null; // Unfinished game from an earlier visit (savegame.js), offered as Continue
+let chosenSeed = null; // Seed from the URL or menu; null deals a fresh random game
+let generatorOverrides = {}; // Mode name -> piece generator the player picked for it over the mode's own
+let chosenMode = LineBreakerModes.DEFAULT_MODE; // Game mode picked on the mode select screen
+let chosenGravityRule = LineBreakerGravityRules.DEFAULT_GRAVITY_RULE; // Gravity rule picked in the menu
+let chosenSideways = false; // Let gravity shifts turn toward the side walls
+let chosenCascade = false; // Blocks fall after clears and can clear again
+// Separate seeded stream for particles so effects never disturb the piece sequence
+let effectsRandom = LineBreakerRandom.createRandom(LineBreakerRandom.randomSeed());
 
 // Animated background state
 let bgGradientOffset = 0;
@@ -91,24 +83,16 @@ function initBackgroundParticles() {
     }
     partyLightPulse = 0;
 }
-let score = 0;
-let lines = 0;
-let level = 1;
-let highScore = 0;
+let highScore = 0; // Best result in the chosen mode: a score, or a time in ms for Sprint (0 = none yet)
+let leaderboards = {}; // Top results per mode (leaderboard.js)
+let pendingEntry = null; // { mode, entry } the last game can still put on the leaderboard
+let achievementProgress = LineBreakerAchievements.createProgress(); // Earned achievements (achievements.js)
+let achievementToasts = []; // Unlocked achievements to announce on the canvas, the first one showing
+let chosenTheme = 'neon'; // Cosmetic theme (THEMES)
 let gameLoop = null;
-let dropInterval = 700;
-let lastDropTime = 0;
-let isGameOver = false;
-let isPaused = false;
+let lastFrameTime = 0;
 let inDangerZone = false;
 
-// Gravity Shift
-let currentGravity = GRAVITY.DOWN;
-let gravityShiftInterval = 25000; // 25 seconds
-let lastGravityShift = 0;
-let gravityWarning = false;
-let gravityWarningTime = 0;
-
 // Audio
 let audioContext;
 let soundEnabled = true;
@@ -147,6 +131,10 @@ function setViewportHeight() {
 function init() {
     canvas = document.getElementById('gameCanvas');
     ctx = canvas.getContext('2d');
+    previewCanvas = document.getElementById('previewCanvas');
+    previewCtx = previewCanvas.getContext('2d');
+    holdCanvas = document.getElementById('holdCanvas');
+    holdCtx = holdCanvas.getContext('2d');
     
     // Set viewport height
     setViewportHeight();
@@ -156,9 +144,102 @@ function init() {
         setTimeout(setViewportHeight, 100);
     });
     
-    // Load high score from localStorage
-    highScore = parseInt(localStorage.getItem('lineBreakerHighScore')) || 0;
-    document.getElementById('highScore').textContent = highScore;
+    // Achievements unlock modes and themes, so they come first
+    achievementProgress = LineBreakerAchievements.loadProgress(localStorage);
+    const savedTheme = localStorage.getItem('lineBreakerTheme');
+    applyTheme(isThemeUnlocked(savedTheme) ? savedTheme : chosenTheme);
+    
+    // Fill the mode select screen and restore the last mode (and its best result)
+    const modeSelect = document.getElementById('modeSelect');
+    for (const name in LineBreakerModes.MODES) {
+        const card = document.createElement('button');
+        card.className = 'mode-card';
+        card.dataset.mode = name;
+        card.addEventListener('click', () => selectMode(name));
+        modeSelect.appendChild(card);
+    }
+    updateModeCards();
+    const savedMode = localStorage.getItem('lineBreakerMode');
+    const canPlaySaved = LineBreakerModes.MODES[savedMode] &&
+        LineBreakerAchievements.isModeUnlocked(achievementProgress, LineBreakerModes.MODES[savedMode]);
+    selectMode(canPlaySaved ? savedMode : chosenMode);
+    
+    // Load how many upcoming pieces to preview
+    const savedPreviewCount = parseInt(localStorage.getItem('lineBreakerPreviewCount'));
+    if (savedPreviewCount >= 1 && savedPreviewCount <= LineBreakerEngine.QUEUE_SIZE) {
+        previewCount = savedPreviewCount;
+    }
+    document.getElementById('previewCountSelect').value = previewCount;
+    
+    // Load key bindings and control settings
+    settings = LineBreakerSettings.loadSettings(localStorage);
+    setupSettingsScreen();
+    setupStatsScreen();
+    leaderboards = LineBreakerLeaderboard.loadBoards(localStorage);
+    setupLeaderboardScreen();
+    setupVersusScreen();
+    setupOnlineScreen();
+    
+    // Fill the piece generator menu; each mode remembers the player's pick
+    const generatorSelect = document.getElementById('generatorSelect');
+    for (const name in LineBreakerGenerators.GENERATORS) {
+        const option = document.createElement('option');
+        option.value = name;
+        generatorSelect.appendChild(option);
+    }
+    try {
+        const saved = JSON.parse(localStorage.getItem('lineBreakerGenerators')) || {};
+        for (const modeName in saved) {
+            if (LineBreakerModes.MODES[modeName] && LineBreakerGenerators.GENERATORS[saved[modeName]]) {
+                generatorOverrides[modeName] = saved[modeName];
+            }
+        }
+    } catch (e) {
+        console.log('Ignoring invalid saved piece generators');
+    }
+    updateGeneratorSelect();
+    generatorSelect.addEventListener('change', (e) => {
+        if (e.target.value === LineBreakerModes.getMode(chosenMode).generator) {
+            delete generatorOverrides[chosenMode];
+        } else {
+            generatorOverrides[chosenMode] = e.target.value;
+        }
+        localStorage.setItem('lineBreakerGenerators', JSON.stringify(generatorOverrides));
+    });
+    
+    // Fill the gravity rule menu and restore the last choice
+    const gravitySelect = document.getElementById('gravitySelect');
+    for (const name in LineBreakerGravityRules.GRAVITY_RULES) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = LineBreakerGravityRules.GRAVITY_RULES[name].name;
+        gravitySelect.appendChild(option);
+    }
+    const savedGravityRule = localStorage.getItem('lineBreakerGravityRule');
+    if (LineBreakerGravityRules.GRAVITY_RULES[savedGravityRule]) {
+        chosenGravityRule = savedGravityRule;
+    }
+    gravitySelect.value = chosenGravityRule;
+    updateGravityRuleHint();
+    gravitySelect.addEventListener('change', (e) => {
+        chosenGravityRule = e.target.value;
+        localStorage.setItem('lineBreakerGravityRule', chosenGravityRule);
+        updateGravityRuleHint();
+    });
+    const sidewaysToggle = document.getElementById('sidewaysToggle');
+    chosenSideways = localStorage.getItem('lineBreakerSidewaysGravity') === 'true';
+    sidewaysToggle.checked = chosenSideways;
+    sidewaysToggle.addEventListener('change', (e) => {
+        chosenSideways = e.target.checked;
+        localStorage.setItem('lineBreakerSidewaysGravity', chosenSideways);
+    });
+    const cascadeToggle = document.getElementById('cascadeToggle');
+    chosenCascade = localStorage.getItem('lineBreakerCascade') === 'true';
+    cascadeToggle.checked = chosenCascade;
+    cascadeToggle.addEventListener('change', (e) => {
+        chosenCascade = e.target.checked;
+        localStorage.setItem('lineBreakerCascade', chosenCascade);
+    });
     
     // Load sound and music preferences
     const savedSound = localStorage.getItem('lineBreakerSoundEnabled');
@@ -178,13 +259,26 @@ function init() {
         musicBtn.classList.toggle('muted', !musicEnabled);
     }
     
-    // Initialize empty grid
-    for (let row = 0; row < ROWS; row++) {
-        grid[row] = [];
-        for (let col = 0; col < COLS; col++) {
-            grid[row][col] = 0;
-        }
-    }
+    // Create the rules engine and let the renderer, audio and HUD follow its events
+    gameEngine = LineBreakerEngine.createEngine();
+    engine = gameEngine;
+    subscribeToEngine(gameEngine);
+    subscribeToGame();
+    playerInput = createHeldInput(gameEngine);
+    recorder = LineBreakerReplay.createRecorder(gameEngine);
+    LineBreakerStats.createTracker(gameEngine, (game) => {
+        LineBreakerStats.saveGame(game).catch(err => console.log('Statistics not saved:', err));
+    });
+    LineBreakerAchievements.createTracker(gameEngine, achievementProgress, (progress, unlocked) => {
+        LineBreakerAchievements.saveProgress(localStorage, progress);
+        if (unlocked) announceAchievement(unlocked);
+    });
+    
+    // Keep the game in progress whenever it pauses; a new or finished game replaces it
+    gameEngine.on('pause', saveCurrentGame);
+    gameEngine.on('start', forgetSavedGame);
+    gameEngine.on('gameOver', forgetSavedGame);
+    savedGame = LineBreakerSaveGame.loadGame(localStorage);
     
     // Initialize Audio
     try {
@@ -195,34 +289,209 @@ function init() {
     
     // Event Listeners
     document.getElementById('restartBtn').addEventListener('click', restartGame);
+    document.getElementById('changeModeBtn').addEventListener('click', () => {
+        document.getElementById('gameOver').classList.add('hidden');
+        showTutorial();
+    });
+    document.getElementById('endGameBtn').addEventListener('click', () => gameEngine.end());
     document.getElementById('pauseBtn').addEventListener('click', togglePause);
     document.getElementById('resumeBtn').addEventListener('click', togglePause);
-    document.getElementById('closeTutorial').addEventListener('click', startGame);
+    document.getElementById('closeTutorial').addEventListener('click', () => {
+        chosenSeed = document.getElementById('seedInput').value.trim() || null;
+        startGame();
+    });
+    document.getElementById('continueBtn').addEventListener('click', continueGame);
+    document.getElementById('dailyBtn').addEventListener('click', () => {
+        chosenSeed = LineBreakerRandom.dailySeed();
+        startGame();
+    });
     document.addEventListener('keydown', handleKeyPress);
+    document.addEventListener('keyup', handleKeyRelease);
+    window.addEventListener('blur', () => {
+        releaseHeldKeys();
+        versusInputs.forEach(input => releaseHeldKeys(input));
+        if (onlineInput) releaseHeldKeys(onlineInput);
+    });
+    
+    // Replay controls
+    document.getElementById('watchReplayBtn').addEventListener('click', () => {
+        watchReplay(recorder.getReplay(), 'gameOver');
+    });
+    document.getElementById('saveReplayBtn').addEventListener('click', saveReplay);
+    document.getElementById('replayFileInput').addEventListener('change', loadReplayFile);
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replayExitBtn').addEventListener('click', exitReplay);
+    document.getElementById('replaySpeed').addEventListener('change', (e) => {
+        replayPlayer.speed = parseFloat(e.target.value);
+    });
+    document.getElementById('replaySeek').addEventListener('input', (e) => {
+        replayPlayer.seek(e.target.value / 1000 * replayPlayer.duration);
+    });
+    
+    document.getElementById('previewCountSelect').addEventListener('change', (e) => {
+        previewCount = parseInt(e.target.value);
+        localStorage.setItem('lineBreakerPreviewCount', previewCount);
+    });
     
     document.getElementById('soundToggle').addEventListener('click', toggleSound);
     document.getElementById('musicToggle').addEventListener('click', toggleMusic);
     
-    // Auto-pause when page loses focus (tab switch, minimize, etc.)
+    // Auto-pause when page loses focus (tab switch, minimize, etc.) or is
+    // closed; pausing also saves the game so it can be continued later
     document.addEventListener('visibilitychange', () => {
-        if (document.hidden && !isPaused && !isGameOver) {
-            togglePause();
-        }
+        if (document.hidden) pauseIfPlaying();
     });
+    window.addEventListener('pagehide', pauseIfPlaying);
     
     // Mobile touch controls
     setupMobileControls();
     
+    // Controllers
+    setupGamepadControls();
+    
     // Desktop mouse controls
     setupMouseControls();
     
+    // Start from a shared seed with ?seed=<value> (or ?seed=daily)
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed) {
+        document.getElementById('seedInput').value = urlSeed === 'daily' ? LineBreakerRandom.dailySeed() : urlSeed;
+    }
+    
+    // Offline play and updates
+    document.getElementById('updateReloadBtn').addEventListener('click', applyUpdate);
+    document.getElementById('updateDismissBtn').addEventListener('click', () => {
+        document.getElementById('updateBanner').classList.add('hidden');
+    });
+    registerServiceWorker();
+    
     // Show tutorial automatically on page load
     showTutorial();
 }
 
+// Service Worker
+// service-worker.js caches the game for offline play. A new version waits
+// until the player reloads from the update prompt.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    
+    navigator.serviceWorker.register('service-worker.js').then((registration) => {
+        // The first install has nothing to replace
+        if (!navigator.serviceWorker.controller) return;
+        if (registration.waiting) showUpdatePrompt(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') showUpdatePrompt(worker);
+            });
+        });
+    }).catch(err => console.log('Service worker not registered:', err));
+}
+
+// Offer to switch to a downloaded update
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    document.getElementById('updateBanner').classList.remove('hidden');
+}
+
+// Let the update take over; the page reloads once it has
+function applyUpdate() {
+    if (!waitingWorker) return;
+    // Pausing saves the game in progress, so it can be continued after the reload
+    pauseIfPlaying();
+    waitingWorker.postMessage({ type: 'skipWaiting' });
+}
+
 // Show Tutorial
 function showTutorial() {
     document.getElementById('tutorial').classList.remove('hidden');
+    updateContinueButton();
+}
+
+// Offer the saved game on the menu, with where it was left off
+function updateContinueButton() {
+    const button = document.getElementById('continueBtn');
+    button.classList.toggle('hidden', !savedGame);
+    if (!savedGame) return;
+    const state = savedGame.state;
+    button.textContent = `▶ Continue ${LineBreakerModes.getMode(state.mode).name}: ` +
+        `${state.score} points, level ${state.level}`;
+}
+
+// Show each mode's card, locked ones with the achievement that unlocks them
+function updateModeCards() {
+    document.querySelectorAll('.mode-card').forEach(card => {
+        const mode = LineBreakerModes.MODES[card.dataset.mode];
+        const locked = !LineBreakerAchievements.isModeUnlocked(achievementProgress, mode);
+        const achievement = LineBreakerAchievements.ACHIEVEMENTS[mode.unlock];
+        card.disabled = locked;
+        card.classList.toggle('locked', locked);
+        card.innerHTML = `<strong>${locked ? '🔒 ' : ''}${mode.name}</strong>` +
+            `<span>${locked ? `Unlocked by ${achievement.name}: ${achievement.description}` : mode.description}</span>`;
+    });
+}
+
+// Pick the mode for the next game
+function selectMode(name) {
+    if (!LineBreakerAchievements.isModeUnlocked(achievementProgress, LineBreakerModes.MODES[name])) return;
+    chosenMode = name;
+    localStorage.setItem('lineBreakerMode', name);
+    document.querySelectorAll('.mode-card').forEach(card => {
+        card.classList.toggle('selected', card.dataset.mode === name);
+    });
+    highScore = loadBest(name);
+    document.getElementById('highScore').textContent = formatBest(name, highScore);
+    updateGravityRuleHint();
+    updateGeneratorSelect();
+}
+
+// Piece generator a mode deals with: the player's pick for it, or its own
+function generatorFor(modeName) {
+    return generatorOverrides[modeName] || LineBreakerModes.getMode(modeName).generator;
+}
+
+// Show the chosen mode's piece generator in the menu, marking the mode's own
+function updateGeneratorSelect() {
+    const generatorSelect = document.getElementById('generatorSelect');
+    if (generatorSelect.options.length === 0) return; // Not filled in yet
+    const modeDefault = LineBreakerModes.getMode(chosenMode).generator;
+    for (const option of generatorSelect.options) {
+        option.textContent = LineBreakerGenerators.GENERATORS[option.value].name +
+            (option.value === modeDefault ? ' (mode default)' : '');
+    }
+    generatorSelect.value = generatorFor(chosenMode);
+}
+
+// Describe the chosen gravity rule in the menu; modes without shifts override it
+function updateGravityRuleHint() {
+    const gravityShifts = LineBreakerModes.getMode(chosenMode).gravityShifts;
+    document.getElementById('gravitySelect').disabled = !gravityShifts;
+    document.getElementById('sidewaysToggle').disabled = !gravityShifts || chosenGravityRule === 'off';
+    document.getElementById('gravityRuleHint').textContent = gravityShifts ?
+        LineBreakerGravityRules.getRule(chosenGravityRule).description :
+        `${LineBreakerModes.getMode(chosenMode).name} has no gravity shifts.`;
+}
+
+// Best results are kept per mode; Marathon keeps the original high score key
+function bestKey(modeName) {
+    return modeName === 'marathon' ? 'lineBreakerHighScore' : `lineBreakerBest:${modeName}`;
+}
+
+function loadBest(modeName) {
+    return parseInt(localStorage.getItem(bestKey(modeName))) || 0;
+}
+
+// Best result as shown in the HUD: a time for Sprint, a score otherwise
+function formatBest(modeName, value) {
+    if (LineBreakerModes.getMode(modeName).best !== 'time') return value;
+    return value ? formatTime(value, true) : '—';
 }
 
 // Start Game
@@ -231,37 +500,30 @@ function startGame() {
     resetGame();
     document.getElementById('pauseBtn').classList.remove('hidden');
     document.getElementById('gameOver').classList.add('hidden');
-    nextPiece = createPiece();
-    spawnPiece();
+    engine = gameEngine;
+    gameEngine.start({
+        seed: chosenSeed || undefined,
+        generator: generatorFor(chosenMode),
+        lockDelay: settings.lockDelay,
+        mode: chosenMode,
+        gravityRule: chosenGravityRule,
+        sidewaysGravity: chosenSideways,
+        cascade: chosenCascade
+    });
+    effectsRandom = LineBreakerRandom.createRandom(gameEngine.state.seed + ':effects');
     if (musicEnabled) startBackgroundMusic();
     
-    // Initialize gravity shift timer to current time
-    lastGravityShift = performance.now();
-    
+    lastFrameTime = performance.now();
+    cancelAnimationFrame(gameLoop);
     gameLoop = requestAnimationFrame(update);
 }
 
 // Reset Game
 function resetGame() {
-    grid = [];
-    blockTypes = [];
-    for (let row = 0; row < ROWS; row++) {
-        grid[row] = [];
-        blockTypes[row] = [];
-        for (let col = 0; col < COLS; col++) {
-            grid[row][col] = 0;
-            blockTypes[row][col] = BLOCK_TYPES.NORMAL;
-        }
-    }
-    score = 0;
-    lines = 0;
-    level = 1;
-    dropInterval = 700;
-    isGameOver = false;
     inDangerZone = false;
-    currentGravity = GRAVITY.DOWN;
-    lastGravityShift = 0;
-    gravityWarning = false;
+    lastLockedBlocks = [];
+    hardDropPath = [];
+    flashingLines.active = false;
     
     // Reset game over animation
     gameOverAnimation.active = false;
@@ -271,273 +533,273 @@ function resetGame() {
     gameOverAnimation.textAlpha = 0;
     gameOverAnimation.statsAlpha = 0;
     
-    updateScore();
-    
-    // Remove danger effect
-    gameOverAnimation.fadeWave = 0;
-    gameOverAnimation.textY = 0;
-    gameOverAnimation.textAlpha = 0;
-    gameOverAnimation.statsAlpha = 0;
-    
     // Remove danger effect
     document.querySelector('.canvas-container').classList.remove('danger');
 }
 
 // Toggle Pause
 function togglePause() {
-    isPaused = !isPaused;
-    if (isPaused) {
-        document.getElementById('pauseScreen').classList.remove('hidden');
-        document.getElementById('pauseBtn').textContent = '▶';
-        document.getElementById('pauseBtn').title = 'Resume';
-        stopBackgroundMusic();
-    } else {
-        document.getElementById('pauseScreen').classList.add('hidden');
-        document.getElementById('pauseBtn').textContent = '⏸';
-        document.getElementById('pauseBtn').title = 'Pause';
-        lastDropTime = performance.now();
-        if (musicEnabled) startBackgroundMusic();
-    }
+    gameEngine.togglePause();
 }
 
-// Restart Game
-function restartGame() {
-    startGame();
+function pauseIfPlaying() {
+    if (versusMatch && !versusMatch.paused && !versusMatch.over) {
+        toggleVersusPause();
+    }
+    if (!gameEngine.state.isPaused && !gameEngine.state.isGameOver) {
+        togglePause();
+    }
 }
 
-// Create Random Piece
-function createPiece() {
-    const shapeIndex = Math.floor(Math.random() * SHAPES.length);
-    const piece = {
-        shape: SHAPES[shapeIndex],
-        color: COLORS[shapeIndex],
-        x: Math.floor(COLS / 2) - 1,
-        y: 0,
-        hasBomb: Math.random() < 0.1 // 10% chance of bomb block
-    };
-    return piece;
+// Show or hide the pause overlay and switch the pause button
+function showPaused(paused) {
+    document.getElementById('pauseScreen').classList.toggle('hidden', !paused);
+    document.getElementById('pauseBtn').textContent = paused ? '▶' : '⏸';
+    document.getElementById('pauseBtn').title = paused ? 'Resume' : 'Pause';
 }
 
-// Spawn New Piece
-function spawnPiece() {
-    currentPiece = nextPiece;
-    nextPiece = createPiece();
-    
-    // Set X position (centered)
-    currentPiece.x = Math.floor(COLS / 2) - 1;
-    
-    // Spawn at appropriate position based on gravity
-    if (currentGravity === GRAVITY.DOWN) {
-        // Normal gravity: spawn at top
-        currentPiece.y = 0;
-    } else {
-        // UP gravity: spawn at bottom
-        const pieceHeight = currentPiece.shape.length;
-        currentPiece.y = ROWS - pieceHeight;
-    }
-    
-    // Check if piece can be placed (game over check)
-    if (collision(currentPiece.x, currentPiece.y, currentPiece.shape)) {
-        gameOver();
+// Saved Games
+// Save the player's game with its recording so far, so it can be continued
+function saveCurrentGame(event, state) {
+    try {
+        LineBreakerSaveGame.saveGame(localStorage, state, recorder.getReplay());
+    } catch (e) {
+        console.log('Game not saved:', e);
     }
 }
 
-// Collision Detection
-function collision(x, y, shape) {
-    for (let row = 0; row < shape.length; row++) {
-        for (let col = 0; col < shape[row].length; col++) {
-            if (shape[row][col]) {
-                const newX = x + col;
-                const newY = y + row;
-                
-                // Check boundaries - handle both gravity directions
-                if (newX < 0 || newX >= COLS || newY < 0 || newY >= ROWS) {
-                    return true;
-                }
-                
-                // Check if position is already occupied
-                if (grid[newY][newX]) {
-                    return true;
-                }
-            }
-        }
-    }
-    return false;
+function forgetSavedGame() {
+    savedGame = null;
+    LineBreakerSaveGame.clearGame(localStorage);
 }
 
-// Move Piece
-function move(dir) {
-    if (isGameOver || !currentPiece) return;
-    
-    const newX = currentPiece.x + dir;
-    if (!collision(newX, currentPiece.y, currentPiece.shape)) {
-        currentPiece.x = newX;
-        playSound('move');
-        draw();
-    }
+// Pick the saved game back up, paused so the player can get ready
+function continueGame() {
+    if (!savedGame) return;
+    const { state, replay } = savedGame;
+    document.getElementById('tutorial').classList.add('hidden');
+    resetGame();
+    document.getElementById('pauseBtn').classList.remove('hidden');
+    document.getElementById('gameOver').classList.add('hidden');
+    engine = gameEngine;
+    gameEngine.load(state);
+    if (replay) recorder.resume(replay);
+    effectsRandom = LineBreakerRandom.createRandom(state.seed + ':effects');
+    highScore = loadBest(state.mode);
+    document.getElementById('highScore').textContent = formatBest(state.mode, highScore);
+    showPaused(true);
+    
+    lastFrameTime = performance.now();
+    cancelAnimationFrame(gameLoop);
+    gameLoop = requestAnimationFrame(update);
+}
+
+// Restart Game
+function restartGame() {
+    startGame();
 }
 
-// Rotate Piece
-function rotate() {
-    if (isGameOver || !currentPiece) return;
+// Engine Events
+// The engine only changes state; everything the player sees or hears is driven from here
+function subscribeToEngine(target) {
+    target.on('score', updateScore);
+    target.on('start', updateTimer);
+    
+    target.on('move', () => playSound('move'));
+    target.on('rotate', () => playSound('rotate'));
+    target.on('hold', () => playSound('hold'));
+    target.on('drop', () => playSound('drop'));
+    
+    target.on('hardDrop', (event) => {
+        hardDropPath = event.path;
+        hardDropAnimStart = performance.now();
+        playSound('hardDrop');
+        playSound('thunderFlash');
+    });
     
-    const rotated = [];
-    const shape = currentPiece.shape;
+    target.on('lock', (event) => {
+        // Track newly locked blocks for pulse effect
+        lastLockedBlocks = event.cells;
+        lastLockPulseStart = performance.now();
+        updateDangerZone(event.dangerZone);
+    });
     
-    for (let col = 0; col < shape[0].length; col++) {
-        const newRow = [];
-        for (let row = shape.length - 1; row >= 0; row--) {
-            newRow.push(shape[row][col]);
+    target.on('linesCleared', (event) => {
+        flashLines(event.cells);
+        // Create particles for cleared lines
+        for (const cell of event.cells) {
+            createParticles(cell.col, cell.row, 6, cell.color);
         }
-        rotated.push(newRow);
-    }
+        if (event.specials > 0) playSound('bomb');
+        playSound('lineClear');
+    });
     
-    if (!collision(currentPiece.x, currentPiece.y, rotated)) {
-        currentPiece.shape = rotated;
-        playSound('rotate');
-        draw();
-    }
-}
-
-// Drop Piece
-function drop() {
-    if (isGameOver || !currentPiece) return;
+    // Create a score popup for every award, stacked upward in the order they were earned
+    target.on('scored', (event) => {
+        event.awards.forEach((award, index) => {
+            createScorePopup(award.points, award.label, index);
+        });
+    });
     
-    // Move based on gravity direction
-    const newY = currentGravity === GRAVITY.DOWN ? currentPiece.y + 1 : currentPiece.y - 1;
+    target.on('special', (event) => {
+        // Create explosion particles in the special block's color
+        const block = LineBreakerBlocks.SPECIAL_BLOCKS[event.block];
+        createParticles(event.col, event.row, 20, block.color);
+        for (const cell of event.cells) {
+            createParticles(cell.col, cell.row, 12, cell.color);
+        }
+    });
     
-    if (!collision(currentPiece.x, newY, currentPiece.shape)) {
-        currentPiece.y = newY;
-        draw();
-    } else {
+    target.on('garbage', (event) => {
+        updateDangerZone(event.dangerZone);
         playSound('drop');
-        lockPiece();
-        clearLines();
-        spawnPiece();
-    }
+    });
+    
+    target.on('levelUp', createLevelUpEffect);
+    target.on('gravityShift', createGravityShiftEffect);
+    
+    // A whole new state was loaded (replay seeking): drop stale effects
+    target.on('load', (event, state) => {
+        lastLockedBlocks = [];
+        hardDropPath = [];
+        flashingLines.active = false;
+        particles = [];
+        updateScore();
+        updateTimer();
+        updateDangerZone(LineBreakerEngine.isInDangerZone(state));
+    });
 }
 
-// Hard Drop
-function hardDrop() {
-    if (isGameOver || !currentPiece) return;
+// Events that only matter for the player's own game, not for replays
+function subscribeToGame() {
+    gameEngine.on('gameOver', gameOver);
     
-    // Track path for animation
-    hardDropPath = [];
-    let tempY = currentPiece.y;
-    if (currentGravity === GRAVITY.DOWN) {
-        while (!collision(currentPiece.x, tempY + 1, currentPiece.shape)) {
-            tempY++;
-            // Record all cells the piece passes through
-            const shape = currentPiece.shape;
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col]) {
-                        hardDropPath.push({row: tempY + row, col: currentPiece.x + col});
-                    }
-                }
-            }
-            score += 2;
-        }
-        currentPiece.y = tempY;
-    } else {
-        while (!collision(currentPiece.x, tempY - 1, currentPiece.shape)) {
-            tempY--;
-            const shape = currentPiece.shape;
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col]) {
-                        hardDropPath.push({row: tempY + row, col: currentPiece.x + col});
-                    }
-                }
-            }
-            score += 2;
+    gameEngine.on('pause', () => {
+        showPaused(true);
+        stopBackgroundMusic();
+    });
+    
+    gameEngine.on('resume', () => {
+        showPaused(false);
+        lastFrameTime = performance.now();
+        if (musicEnabled) startBackgroundMusic();
+    });
+    
+    // Arrows change meaning when gravity turns sideways or back, so held ones let go
+    gameEngine.on('gravityShift', (event) => {
+        if (LineBreakerEngine.isSideways(event.gravity) !== LineBreakerEngine.isSideways(event.previous)) {
+            releaseHeldKeys();
         }
-        currentPiece.y = tempY;
-    }
-    hardDropAnimStart = performance.now();
-    playSound('hardDrop');
-    playSound('thunderFlash');
-    lockPiece();
-    clearLines();
-    spawnPiece();
-    updateScore();
+    });
 }
 
-// Lock Piece to Grid
-function lockPiece() {
-        // Track newly locked blocks for pulse effect
-        lastLockedBlocks = [];
-    const shape = currentPiece.shape;
-    
-    // Find center block for bomb placement (if piece has bomb)
-    let bombRow = -1, bombCol = -1;
-    if (currentPiece.hasBomb) {
-        let blockCount = 0;
-        let totalRow = 0, totalCol = 0;
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                if (shape[row][col]) {
-                    totalRow += currentPiece.y + row;
-                    totalCol += currentPiece.x + col;
-                    blockCount++;
-                }
-            }
-        }
-        if (blockCount > 0) {
-            bombRow = Math.round(totalRow / blockCount);
-            bombCol = Math.round(totalCol / blockCount);
-        }
-    }
+// Replays
+function watchReplay(replay, returnTo) {
+    if (!replay) return;
+    document.getElementById(returnTo).classList.add('hidden');
+    document.getElementById('replayControls').classList.remove('hidden');
+    document.getElementById('replaySpeed').value = '1';
+    replayReturnTo = returnTo;
+    resetGame();
+    stopBackgroundMusic();
     
-    for (let row = 0; row < shape.length; row++) {
-        for (let col = 0; col < shape[row].length; col++) {
-            if (shape[row][col]) {
-                const gridY = currentPiece.y + row;
-                const gridX = currentPiece.x + col;
-                if (gridY >= 0) {
-                    grid[gridY][gridX] = currentPiece.color;
-                    // Track for pulse
-                    lastLockedBlocks.push({row: gridY, col: gridX});
-                    // Mark bomb block
-                    if (gridY === bombRow && gridX === bombCol && currentPiece.hasBomb) {
-                        blockTypes[gridY][gridX] = BLOCK_TYPES.BOMB;
-                    } else {
-                        blockTypes[gridY][gridX] = BLOCK_TYPES.NORMAL;
-                    }
-                }
-            }
-        }
-    }
-    lastLockPulseStart = performance.now();
+    // Play back on a separate engine so the recorded game stays untouched
+    const replayEngine = LineBreakerEngine.createEngine();
+    subscribeToEngine(replayEngine);
+    replayEngine.on('gameOver', () => playSound('gameOver'));
+    engine = replayEngine;
+    effectsRandom = LineBreakerRandom.createRandom(replay.seed + ':effects');
+    replayPlayer = LineBreakerReplay.createPlayer(replay, replayEngine);
     
-    // Check if ANY blocks exist in danger zone
-    // Danger zone changes based on gravity direction
-    let dangerZone = false;
-    if (currentGravity === GRAVITY.DOWN) {
-        // Normal gravity: danger zone is top 4 rows
-        for (let row = 0; row < 4; row++) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    dangerZone = true;
-                    break;
-                }
-            }
-            if (dangerZone) break;
-        }
+    lastFrameTime = performance.now();
+    cancelAnimationFrame(gameLoop);
+    gameLoop = requestAnimationFrame(update);
+}
+
+function exitReplay() {
+    replayPlayer = null;
+    engine = gameEngine;
+    cancelAnimationFrame(gameLoop);
+    resetGame();
+    stopBackgroundMusic();
+    updateScore();
+    updateTimer();
+    draw();
+    document.getElementById('replayControls').classList.add('hidden');
+    document.getElementById(replayReturnTo).classList.remove('hidden');
+}
+
+function toggleReplayPlayback() {
+    if (replayPlayer.finished) {
+        replayPlayer.seek(0);
+        replayPlayer.playing = true;
     } else {
-        // UP gravity: danger zone is bottom 4 rows
-        for (let row = ROWS - 4; row < ROWS; row++) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    dangerZone = true;
-                    break;
-                }
-            }
-            if (dangerZone) break;
-        }
+        replayPlayer.playing = !replayPlayer.playing;
     }
-    
-    // Add danger visual effect and switch music if blocks are in danger zone
+}
+
+// Keep the replay bar in sync with playback
+function updateReplayControls() {
+    const seek = document.getElementById('replaySeek');
+    if (document.activeElement !== seek) {
+        seek.value = replayPlayer.duration > 0 ? Math.round(replayPlayer.time / replayPlayer.duration * 1000) : 0;
+    }
+    const playing = replayPlayer.playing && !replayPlayer.finished;
+    document.getElementById('replayPlayBtn').textContent = playing ? '⏸' : '▶';
+    document.getElementById('replayTime').textContent =
+        `${formatTime(replayPlayer.time)} / ${formatTime(replayPlayer.duration)}`;
+}
+
+function formatTime(ms, precise) {
+    const seconds = Math.floor(ms / 1000);
+    const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    // Precise times add hundredths, for Sprint results
+    return precise ? text + '.' + String(Math.floor(ms % 1000 / 10)).padStart(2, '0') : text;
+}
+
+// Download the last game as a replay file
+function saveReplay() {
+    const replay = recorder.getReplay();
+    if (!replay) return;
+    const blob = new Blob([LineBreakerReplay.encodeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `linebreaker-${replay.seed}-${replay.score}.replay.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function loadReplayFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+        watchReplay(LineBreakerReplay.decodeReplay(text), 'tutorial');
+    }).catch((err) => {
+        alert(`Could not load replay: ${err.message}`);
+    });
+}
+
+function handleReplayKey(e) {
+    switch (e.key) {
+        case ' ':
+            e.preventDefault();
+            toggleReplayPlayback();
+            break;
+        case 'ArrowLeft':
+            replayPlayer.seek(replayPlayer.time - 5000);
+            break;
+        case 'ArrowRight':
+            replayPlayer.seek(replayPlayer.time + 5000);
+            break;
+        case 'Escape':
+            exitReplay();
+            break;
+    }
+}
+
+// Add danger visual effect and switch music if blocks are in danger zone
+function updateDangerZone(dangerZone) {
     const canvasContainer = document.querySelector('.canvas-container');
     if (dangerZone) {
         canvasContainer.classList.add('danger');
@@ -558,282 +820,38 @@ function lockPiece() {
     }
 }
 
-// Clear Completed Lines
-function clearLines() {
-    let linesCleared = 0;
-    let rowsToClear = [];
-    let colsToClear = [];
+// Flash cleared lines: the engine has already removed them, so the
+// cleared cells are kept here and drawn flashing over the board
+let flashingLines = { cells: [], active: false, flashCount: 0, timer: null };
+
+function flashLines(cells) {
+    clearInterval(flashingLines.timer);
+    flashingLines.cells = cells;
+    flashingLines.active = true;
+    flashingLines.flashCount = 0;
     
-    // Check rows
-    for (let row = ROWS - 1; row >= 0; row--) {
-        if (grid[row].every(cell => cell !== 0)) {
-            rowsToClear.push(row);
-        }
-    }
+    const flashInterval = 75; // Flash every 75ms
+    const totalFlashes = 4;
     
-    // Check columns (vertical lines)
-    for (let col = 0; col < COLS; col++) {
-        let columnFilled = true;
-        for (let row = 0; row < ROWS; row++) {
-            if (grid[row][col] === 0) {
-                columnFilled = false;
-                break;
-            }
-        }
-        if (columnFilled) {
-            colsToClear.push(col);
+    flashingLines.timer = setInterval(() => {
+        flashingLines.flashCount++;
+        if (flashingLines.flashCount >= totalFlashes) {
+            clearInterval(flashingLines.timer);
+            flashingLines.active = false;
+            flashingLines.cells = [];
         }
-    }
-    
-    // If there are lines to clear, flash them first
-    if (rowsToClear.length > 0 || colsToClear.length > 0) {
-        flashLines(rowsToClear, colsToClear, () => {
-            // Check for bomb blocks in cleared lines and trigger explosions
-            let bombsTriggered = [];
-            
-            // Check rows for bombs
-            for (let row of rowsToClear) {
-                for (let col = 0; col < COLS; col++) {
-                    if (blockTypes[row][col] === BLOCK_TYPES.BOMB) {
-                        bombsTriggered.push({row, col});
-                    }
-                }
-            }
-            
-            // Check columns for bombs
-            for (let col of colsToClear) {
-                for (let row = 0; row < ROWS; row++) {
-                    if (blockTypes[row][col] === BLOCK_TYPES.BOMB) {
-                        // Avoid duplicates
-                        if (!bombsTriggered.some(b => b.row === row && b.col === col)) {
-                            bombsTriggered.push({row, col});
-                        }
-                    }
-                }
-            }
-            
-            // Clear rows
-            for (let i = rowsToClear.length - 1; i >= 0; i--) {
-                const row = rowsToClear[i];
-                // Create particles for cleared line
-                for (let col = 0; col < COLS; col++) {
-                    createParticles(col, row, 6, grid[row][col]);
-                }
-                grid.splice(row, 1);
-                blockTypes.splice(row, 1);
-                if (currentGravity === GRAVITY.DOWN) {
-                    grid.unshift(new Array(COLS).fill(0));
-                    blockTypes.unshift(new Array(COLS).fill(BLOCK_TYPES.NORMAL));
-                } else {
-                    grid.push(new Array(COLS).fill(0));
-                    blockTypes.push(new Array(COLS).fill(BLOCK_TYPES.NORMAL));
-                }
-                linesCleared++;
-            }
-            
-            // Clear columns
-            for (let col of colsToClear) {
-                // Create particles for cleared column
-                for (let row = 0; row < ROWS; row++) {
-                    createParticles(col, row, 6, grid[row][col]);
-                    grid[row][col] = 0;
-                    blockTypes[row][col] = BLOCK_TYPES.NORMAL;
-                }
-                // Drop blocks above
-                dropColumn(col);
-                linesCleared++;
-            }
-            
-            // Trigger bomb explosions
-            if (bombsTriggered.length > 0) {
-                for (let bomb of bombsTriggered) {
-                    explodeBomb(bomb.row, bomb.col);
-                }
-                playSound('bomb');
-            }
-            
-            playSound('lineClear');
-            lines += linesCleared;
-            
-            // Level progression: every 3 lines = new level
-            const newLevel = Math.floor(lines / 3) + 1;
-            if (newLevel > level) {
-                level = newLevel;
-                // Speed increases with each level
-                dropInterval = Math.max(100, 700 - (level * 20));
-            }
-            
-            // Score calculation: more points for multiple lines and higher levels
-            const baseScore = linesCleared === 1 ? 100 : 
-                             linesCleared === 2 ? 300 :
-                             linesCleared === 3 ? 500 : 800;
-            const earnedScore = baseScore * level;
-            score += earnedScore;
-            
-            // Create score popup animation
-            createScorePopup(earnedScore);
-            
-            // Update score/level display first
-            updateScore();
-            
-            // Then trigger visual feedback for level up
-            if (newLevel > (newLevel - 1)) {
-                // Check if we just leveled up in this clear
-                const previousLevel = Math.floor((lines - linesCleared) / 3) + 1;
-                if (newLevel > previousLevel) {
-                    createLevelUpEffect();
-                }
-            }
-        });
-    }
-}
-
-// Flash lines before clearing them
-let flashingLines = { rows: [], cols: [], active: false, flashCount: 0 };
-
-function flashLines(rows, cols, callback) {
-    flashingLines.rows = rows;
-    flashingLines.cols = cols;
-    flashingLines.active = true;
-    flashingLines.flashCount = 0;
-    
-    const flashDuration = 300; // Total flash duration
-    const flashInterval = 75; // Flash every 75ms
-    const totalFlashes = 4;
-    
-    const flashTimer = setInterval(() => {
-        flashingLines.flashCount++;
-        if (flashingLines.flashCount >= totalFlashes) {
-            clearInterval(flashTimer);
-            flashingLines.active = false;
-            flashingLines.rows = [];
-            flashingLines.cols = [];
-            callback();
-        }
-    }, flashInterval);
-}
-
-// Drop Column After Vertical Line Clear
-function dropColumn(col) {
-    if (currentGravity === GRAVITY.DOWN) {
-        // Drop blocks downwards (from top to bottom)
-        for (let row = ROWS - 1; row >= 0; row--) {
-            if (grid[row][col] === 0) {
-                // Find next non-empty cell above
-                for (let r = row - 1; r >= 0; r--) {
-                    if (grid[r][col] !== 0) {
-                        grid[row][col] = grid[r][col];
-                        blockTypes[row][col] = blockTypes[r][col];
-                        grid[r][col] = 0;
-                        blockTypes[r][col] = BLOCK_TYPES.NORMAL;
-                        break;
-                    }
-                }
-            }
-        }
-    } else {
-        // Drop blocks upwards (from bottom to top)
-        for (let row = 0; row < ROWS; row++) {
-            if (grid[row][col] === 0) {
-                // Find next non-empty cell below
-                for (let r = row + 1; r < ROWS; r++) {
-                    if (grid[r][col] !== 0) {
-                        grid[row][col] = grid[r][col];
-                        blockTypes[row][col] = blockTypes[r][col];
-                        grid[r][col] = 0;
-                        blockTypes[r][col] = BLOCK_TYPES.NORMAL;
-                        break;
-                    }
-                }
-            }
-        }
-    }
-}
-
-// Explode Bomb - clears 3x3 area
-function explodeBomb(bombRow, bombCol) {
-    // Clear 5x5 area around bomb
-    for (let row = Math.max(0, bombRow - 2); row <= Math.min(ROWS - 1, bombRow + 2); row++) {
-        for (let col = Math.max(0, bombCol - 2); col <= Math.min(COLS - 1, bombCol + 2); col++) {
-            if (grid[row][col]) {
-                // Create explosion particles
-                createParticles(col, row, 12, grid[row][col]);
-                grid[row][col] = 0;
-                blockTypes[row][col] = BLOCK_TYPES.NORMAL;
-                score += 10; // Bonus points for bomb clears
-            }
-        }
-    }
-
-    // Drop all columns affected in the correct gravity direction
-    for (let col = Math.max(0, bombCol - 2); col <= Math.min(COLS - 1, bombCol + 2); col++) {
-        dropColumn(col);
-    }
-}
-
-// Shift Gravity Direction
-function shiftGravity() {
-    // Calculate current piece's relative position before flip
-    let pieceRelativeY = null;
-    if (currentPiece) {
-        const pieceHeight = currentPiece.shape.length;
-        if (currentGravity === GRAVITY.DOWN) {
-            // Distance from top
-            pieceRelativeY = currentPiece.y;
-        } else {
-            // Distance from bottom
-            pieceRelativeY = (ROWS - currentPiece.y - pieceHeight);
-        }
-    }
-    
-    // Toggle between UP and DOWN
-    currentGravity = currentGravity === GRAVITY.DOWN ? GRAVITY.UP : GRAVITY.DOWN;
-    
-    // FLIP THE ENTIRE GRID VERTICALLY
-    flipGrid();
-    
-    // Reposition the current piece to maintain relative position
-    if (currentPiece && pieceRelativeY !== null) {
-        const pieceHeight = currentPiece.shape.length;
-        if (currentGravity === GRAVITY.DOWN) {
-            // Now falling down, maintain distance from top
-            currentPiece.y = pieceRelativeY;
-        } else {
-            // Now falling up, maintain distance from bottom
-            currentPiece.y = ROWS - pieceRelativeY - pieceHeight;
-        }
-
-        // Vertically flip the piece (except O piece) to preserve landing orientation
-        let originalShape = JSON.parse(JSON.stringify(currentPiece.shape));
-        let isSquare = currentPiece.shape.length === 2 && currentPiece.shape[0].length === 2 &&
-            currentPiece.shape.every(row => row.length === 2) &&
-            currentPiece.shape.flat().every(cell => cell === 1);
-        if (!isSquare) {
-            let flipped = [...currentPiece.shape].reverse();
-            if (!collision(currentPiece.x, currentPiece.y, flipped)) {
-                currentPiece.shape = flipped;
-            } else {
-                currentPiece.shape = originalShape;
-            }
-        }
-
-        // If new position causes collision, adjust to safe position
-        if (collision(currentPiece.x, currentPiece.y, currentPiece.shape)) {
-            if (currentGravity === GRAVITY.DOWN) {
-                currentPiece.y = 0;
-            } else {
-                currentPiece.y = ROWS - pieceHeight;
-            }
-        }
-    }
-    
-    // Create visual effect
-    const colors = ['#FF006E', '#00F5FF', '#FBFF00', '#FF5F00'];
-    for (let i = 0; i < 40; i++) {
-        const randomX = Math.floor(Math.random() * COLS);
-        const randomY = Math.floor(Math.random() * ROWS);
-        const randomColor = colors[Math.floor(Math.random() * colors.length)];
-        createParticles(randomX, randomY, 4, randomColor);
+    }, flashInterval);
+}
+
+// Gravity Shift Effect
+function createGravityShiftEffect() {
+    // Create visual effect
+    const colors = ['#FF006E', '#00F5FF', '#FBFF00', '#FF5F00'];
+    for (let i = 0; i < 40; i++) {
+        const randomX = effectsRandom.int(COLS);
+        const randomY = effectsRandom.int(ROWS);
+        const randomColor = effectsRandom.pick(colors);
+        createParticles(randomX, randomY, 4, randomColor);
     }
     
     // Play gravity shift sound: whoosh + chime
@@ -866,19 +884,6 @@ function shiftGravity() {
     }
 }
 
-// Flip the entire grid vertically
-function flipGrid() {
-    // Reverse the grid array (flip vertically)
-    grid.reverse();
-    blockTypes.reverse();
-    
-    // Each row also needs to be recreated to maintain references
-    for (let row = 0; row < ROWS; row++) {
-        grid[row] = [...grid[row]];
-        blockTypes[row] = [...blockTypes[row]];
-    }
-}
-
 // Level Up Effect
 function createLevelUpEffect() {
     // Rainbow colors for particles
@@ -886,9 +891,9 @@ function createLevelUpEffect() {
     
     // Create more particles with rainbow colors
     for (let i = 0; i < 80; i++) {
-        const randomX = Math.floor(Math.random() * COLS);
-        const randomY = Math.floor(Math.random() * ROWS);
-        const randomColor = colors[Math.floor(Math.random() * colors.length)];
+        const randomX = effectsRandom.int(COLS);
+        const randomY = effectsRandom.int(ROWS);
+        const randomColor = effectsRandom.pick(colors);
         createParticles(randomX, randomY, 3, randomColor);
     }
     
@@ -897,10 +902,10 @@ function createLevelUpEffect() {
         particles.push({
             x: canvas.width / 2,
             y: canvas.height / 2,
-            vx: (Math.random() - 0.5) * 12,
-            vy: (Math.random() - 0.5) * 12 - 4,
+            vx: (effectsRandom.next() - 0.5) * 12,
+            vy: (effectsRandom.next() - 0.5) * 12 - 4,
             life: 1,
-            color: colors[Math.floor(Math.random() * colors.length)]
+            color: effectsRandom.pick(colors)
         });
     }
     
@@ -1034,118 +1039,1505 @@ function drawLevelUpText() {
     ctx.restore();
 }
 
-// Draw Gravity Indicator and Warning
-function drawGravityIndicator() {
-    // Show gravity direction indicator
-    const gravityText = currentGravity === GRAVITY.DOWN ? '↓ DOWN' : '↑ UP';
-    const gravityColor = currentGravity === GRAVITY.DOWN ? '#00FF9F' : '#FF006E';
-    ctx.save();
-    ctx.font = 'bold 14px Arial';
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'top';
-    ctx.fillStyle = gravityColor;
-    // No shadow for crisp look
-    ctx.fillText(`Gravity: ${gravityText}`, canvas.width - 10, 10);
-    ctx.restore();
-    
-    // Show warning countdown
-    if (gravityWarning) {
-        const timeLeft = Math.ceil((5000 - (performance.now() - gravityWarningTime)) / 1000);
-        if (timeLeft > 0) {
-            ctx.save();
-            ctx.font = 'bold 20px Arial'; // Smaller font
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            // Pulse effect
-            const pulse = Math.sin(performance.now() / 150) * 0.2 + 0.8;
-            ctx.globalAlpha = pulse;
-            ctx.font = 'bold 16px Arial';
-            ctx.fillStyle = '#FFD700';
-            // No shadow for crisp look
-            // Center of grid
-            const centerX = (COLS * BLOCK_SIZE) / 2;
-            const centerY = (ROWS * BLOCK_SIZE) / 2;
-            ctx.fillText(`GRAVITY SHIFT IN ${timeLeft}!`, centerX, centerY);
-            ctx.restore();
+// Gravity direction names and colors, by GRAVITY value
+const GRAVITY_LABELS = ['↓ DOWN', '↑ UP', '← LEFT', '→ RIGHT'];
+const GRAVITY_COLORS = ['#00FF9F', '#FF006E', '#00F5FF', '#FBFF00'];
+
+// Draw Gravity Indicator and Warning
+function drawGravityIndicator() {
+    const state = engine.state;
+    // Show gravity direction indicator
+    const gravityText = GRAVITY_LABELS[state.currentGravity];
+    const gravityColor = GRAVITY_COLORS[state.currentGravity];
+    ctx.save();
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = gravityColor;
+    // No shadow for crisp look
+    ctx.fillText(`Gravity: ${gravityText}`, canvas.width - 10, 10);
+    
+    // What the rule is waiting for before the next flip
+    const rule = LineBreakerGravityRules.getRule(state.gravityRule);
+    let nextText = null;
+    if (state.nextGravityShift !== null) {
+        nextText = `Flip in ${Math.ceil((state.nextGravityShift - state.time) / 1000)}s`;
+    } else if (rule.everyLines) {
+        nextText = `Flip in ${rule.everyLines - state.linesSinceShift} lines`;
+    } else if (rule.onBomb) {
+        nextText = 'Bombs flip gravity';
+    }
+    if (nextText) {
+        ctx.font = '11px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(nextText, canvas.width - 10, 28);
+    }
+    
+    // Countdown to the next rising garbage line (Survival)
+    if (state.nextGarbageRise !== null) {
+        ctx.font = '11px Arial';
+        ctx.fillStyle = 'rgba(255, 120, 120, 0.8)';
+        ctx.fillText(`Garbage in ${Math.ceil((state.nextGarbageRise - state.time) / 1000)}s`,
+            canvas.width - 10, nextText ? 44 : 28);
+    }
+    ctx.restore();
+    
+    // Show warning countdown
+    if (state.gravityWarning) {
+        const timeLeft = Math.ceil((state.nextGravityShift - state.time) / 1000);
+        if (timeLeft > 0) {
+            ctx.save();
+            ctx.font = 'bold 20px Arial'; // Smaller font
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            // Pulse effect
+            const pulse = Math.sin(performance.now() / 150) * 0.2 + 0.8;
+            ctx.globalAlpha = pulse;
+            ctx.font = 'bold 16px Arial';
+            ctx.fillStyle = '#FFD700';
+            // No shadow for crisp look
+            // Center of grid
+            const centerX = (COLS * BLOCK_SIZE) / 2;
+            const centerY = (ROWS * BLOCK_SIZE) / 2;
+            // Say which way when it isn't simply the opposite one
+            const next = LineBreakerEngine.nextGravity(state);
+            const label = state.sidewaysGravity ? ` ${GRAVITY_LABELS[next]}` : '';
+            ctx.fillText(`GRAVITY SHIFT${label} IN ${timeLeft}!`, centerX, centerY);
+            ctx.restore();
+        }
+    }
+}
+
+// Update Score Display
+function updateScore() {
+    const state = engine.state;
+    const scoreEl = document.getElementById('score');
+    const linesEl = document.getElementById('lines');
+    const levelEl = document.getElementById('level');
+    
+    // Add pulse animation on score update
+    scoreEl.style.transform = 'scale(1.2)';
+    setTimeout(() => scoreEl.style.transform = 'scale(1)', 200);
+    
+    scoreEl.textContent = state.score;
+    const lineGoal = LineBreakerModes.getMode(state.mode).lineGoal;
+    linesEl.textContent = lineGoal ? `${state.lines}/${lineGoal}` : state.lines;
+    levelEl.textContent = state.level;
+}
+
+// Show the clock in timed modes: time so far in Sprint, time left in Ultra
+function updateTimer() {
+    const state = engine.state;
+    const mode = LineBreakerModes.getMode(state.mode);
+    const timed = !!(mode.lineGoal || mode.timeLimit);
+    document.getElementById('timerItem').classList.toggle('hidden', !timed);
+    if (!timed) return;
+    const time = mode.timeLimit ? Math.max(0, mode.timeLimit - state.time) : state.time;
+    document.getElementById('timer').textContent = formatTime(mode.timeLimit ? Math.ceil(time / 1000) * 1000 : time);
+}
+
+// Handle Keyboard Input
+function handleKeyPress(e) {
+    if (settingsOpen) {
+        handleSettingsKey(e);
+        return;
+    }
+    if (statsOpen) {
+        if (e.key === 'Escape') closeStats();
+        return;
+    }
+    if (versusMatch) {
+        handleVersusKey(e);
+        return;
+    }
+    if (!document.getElementById('onlineScreen').classList.contains('hidden')) {
+        handleOnlineKey(e);
+        return;
+    }
+    if (replayPlayer) {
+        handleReplayKey(e);
+        return;
+    }
+    if (!document.getElementById('leaderboardScreen').classList.contains('hidden')) {
+        if (e.key === 'Escape') closeLeaderboard();
+        return;
+    }
+    // Typing a name or a seed isn't playing
+    if (e.target.tagName === 'INPUT' && e.target.type === 'text') return;
+    gamepadInUse = false;
+    
+    const state = gameEngine.state;
+    // Allow restart when game over animation is complete (progress = 1)
+    if (state.isGameOver && gameOverAnimation.progress >= 1) {
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            restartGame();
+            return;
+        }
+    }
+    
+    if (state.isGameOver) return;
+    
+    const action = LineBreakerSettings.actionForKey(settings, e.key);
+    if (!action) return;
+    e.preventDefault();
+    if (e.repeat) return; // Auto-repeat is ours, not the keyboard's
+    pressAction(action, LineBreakerSettings.normalizeKey(e.key));
+}
+
+// Stop auto-repeating released keys
+function handleKeyRelease(e) {
+    if (versusMatch) {
+        handleVersusKeyRelease(e);
+        return;
+    }
+    if (LineBreakerSettings.actionForKey(settings, e.key)) {
+        releaseSource(LineBreakerSettings.normalizeKey(e.key), onlineInput || playerInput);
+    }
+}
+
+// Apply a pressed action from any input source (a key, a controller button)
+function pressAction(action, source) {
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+    pressPlayerAction(playerInput, action, source);
+}
+
+// Play a pressed action on the engine an input steers
+function pressPlayerAction(input, action, source) {
+    const target = input.engine;
+    if (target.state.isPaused) return;
+    
+    switch(action) {
+        case 'moveLeft':
+        case 'moveRight':
+        case 'down':
+        case 'up':
+            pressDirection(SCREEN_DIRECTIONS[action], source, input);
+            break;
+        case 'hardDrop':
+            target.hardDrop();
+            break;
+        case 'rotateClockwise':
+            target.rotate(1);
+            break;
+        case 'rotateCounterClockwise':
+            target.rotate(-1);
+            break;
+        case 'hold':
+            target.hold();
+            break;
+    }
+}
+
+// Screen direction of each arrow action
+const SCREEN_DIRECTIONS = {
+    moveLeft: { x: -1, y: 0 },
+    moveRight: { x: 1, y: 0 },
+    down: { x: 0, y: 1 },
+    up: { x: 0, y: -1 }
+};
+
+// Split a screen direction or distance into its part along gravity and its
+// part across it (positive toward the player's right, see MOVE_VECTORS)
+function gravityParts(x, y, state = gameEngine.state) {
+    const gravity = state.currentGravity;
+    const pull = LineBreakerEngine.GRAVITY_VECTORS[gravity];
+    const across = LineBreakerEngine.MOVE_VECTORS[gravity];
+    return {
+        along: x * pull.x + y * pull.y,
+        across: x * across.x + y * across.y
+    };
+}
+
+// Held Keys
+// What one player is holding down: the left/right keys and their DAS/ARR
+// timers, and the key or button soft dropping. The player's own game uses
+// playerInput; each side of a versus match has its own.
+function createHeldInput(target) {
+    return {
+        engine: target,
+        shiftDir: 0, // Direction of the held left/right key, 0 when none
+        heldShiftKeys: { '-1': false, '1': false },
+        shiftSources: {}, // Move direction each held key or button started, by source
+        shiftTimer: 0, // Time the current direction has been held
+        repeatTimer: 0, // Time since the last auto-repeat move
+        softDropSource: null, // Key or controller holding soft drop, null when not soft dropping
+        softDropTimer: 0
+    };
+}
+
+// Pointing along gravity soft drops, against it rotates and across it moves
+function pressDirection(direction, source, input = playerInput) {
+    const { along, across } = gravityParts(direction.x, direction.y, input.engine.state);
+    if (along > 0) {
+        pressSoftDrop(source, input);
+    } else if (along < 0) {
+        input.engine.rotate(1);
+    } else {
+        input.shiftSources[source] = across;
+        pressShift(across, input);
+    }
+}
+
+// Stop whatever a key or button was holding
+function releaseSource(source, input = playerInput) {
+    if (!input) return;
+    if (input.shiftSources[source] !== undefined) {
+        releaseShift(input.shiftSources[source], input);
+        delete input.shiftSources[source];
+    }
+    if (input.softDropSource === source) {
+        input.softDropSource = null;
+    }
+}
+
+// Start moving on a left/right press; holding it is handled by updateHeldKeys
+function pressShift(dir, input = playerInput) {
+    input.heldShiftKeys[dir] = true;
+    input.shiftDir = dir;
+    input.shiftTimer = 0;
+    input.repeatTimer = 0;
+    input.engine.move(dir);
+}
+
+// Start soft dropping: one cell now, then repeated by updateHeldKeys
+function pressSoftDrop(source, input = playerInput) {
+    if (input.softDropSource) return;
+    input.softDropSource = source;
+    input.softDropTimer = 0;
+    input.engine.softDrop();
+}
+
+// Release one direction, falling back to the other if it is still held
+function releaseShift(dir, input = playerInput) {
+    input.heldShiftKeys[dir] = false;
+    if (input.shiftDir !== dir) return;
+    input.shiftDir = input.heldShiftKeys[-dir] ? -dir : 0;
+    input.shiftTimer = 0;
+    input.repeatTimer = 0;
+}
+
+// Forget all held keys (window lost focus, game restarted)
+function releaseHeldKeys(input = playerInput) {
+    input.heldShiftKeys = { '-1': false, '1': false };
+    input.shiftSources = {};
+    input.shiftDir = 0;
+    input.softDropSource = null;
+}
+
+// Delayed auto shift, auto repeat and soft drop for held keys, run every frame
+function updateHeldKeys(delta, input = playerInput) {
+    const target = input.engine;
+    const state = target.state;
+    
+    if (input.shiftDir !== 0) {
+        input.shiftTimer += delta;
+        if (input.shiftTimer >= settings.das) {
+            input.repeatTimer += delta;
+            // Only send moves that will succeed so replays don't fill up with wall bumps
+            const step = LineBreakerEngine.MOVE_VECTORS[state.currentGravity];
+            const canShift = () => state.currentPiece && !state.isGameOver &&
+                !LineBreakerEngine.collision(state, state.currentPiece.x + step.x * input.shiftDir,
+                    state.currentPiece.y + step.y * input.shiftDir, state.currentPiece.shape);
+            if (settings.arr === 0) {
+                while (canShift()) target.move(input.shiftDir);
+            } else {
+                while (input.repeatTimer >= settings.arr) {
+                    input.repeatTimer -= settings.arr;
+                    if (canShift()) target.move(input.shiftDir);
+                }
+            }
+        }
+    }
+    
+    if (input.softDropSource) {
+        input.softDropTimer += delta;
+        const interval = state.dropInterval / settings.softDropFactor;
+        while (input.softDropTimer >= interval && !state.isGameOver) {
+            input.softDropTimer -= interval;
+            target.softDrop();
+        }
+    }
+}
+
+// Settings Screen
+// Inputs with a data-setting path ("touch.swipeThreshold") edit that setting
+// directly; key and controller bindings are buttons that wait for the next
+// key or controller button press.
+function setupSettingsScreen() {
+    document.getElementById('settingsBtn').addEventListener('click', openSettings);
+    document.getElementById('pauseSettingsBtn').addEventListener('click', openSettings);
+    document.getElementById('closeSettingsBtn').addEventListener('click', closeSettings);
+    document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+        settings = LineBreakerSettings.defaultSettings();
+        capturingBinding = null;
+        saveSettingsIfValid();
+        renderSettings();
+    });
+    
+    document.querySelectorAll('[data-setting]').forEach(input => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            const path = input.dataset.setting.split('.');
+            const name = path.pop();
+            const group = path.reduce((obj, key) => obj[key], settings);
+            group[name] = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+            saveSettingsIfValid();
+            renderSettings();
+        });
+    });
+}
+
+// Open the settings, pausing a running game first
+function openSettings() {
+    const state = gameEngine.state;
+    if (!replayPlayer && state.currentPiece && !state.isPaused && !state.isGameOver) {
+        togglePause();
+    }
+    releaseHeldKeys();
+    settingsOpen = true;
+    capturingBinding = null;
+    renderSettings();
+    document.getElementById('settingsScreen').classList.remove('hidden');
+}
+
+// Close the settings (only once no key or button is bound to two actions)
+function closeSettings() {
+    if (hasBindingConflicts()) return;
+    settingsOpen = false;
+    capturingBinding = null;
+    document.getElementById('settingsScreen').classList.add('hidden');
+}
+
+// Any key, or any button of the controller the settings show, bound to more
+// than one action. Other controllers' mappings can't be seen or fixed until
+// they are connected again, so they don't keep the settings open.
+function hasBindingConflicts() {
+    const pad = activeGamepad();
+    const bindings = pad ? [settings.keys, LineBreakerSettings.gamepadMapping(settings, pad.id)] : [settings.keys];
+    return bindings.some(bound => LineBreakerSettings.findConflicts(bound).length > 0);
+}
+
+// Keep conflicting bindings out of storage until they are fixed
+function saveSettingsIfValid() {
+    if (!hasBindingConflicts()) {
+        LineBreakerSettings.saveSettings(localStorage, settings);
+    }
+}
+
+// Store a captured key or button in the slot being edited
+function bindCaptured(value) {
+    const { bindings, action, index } = capturingBinding;
+    bindings[action][index] = value;
+    capturingBinding = null;
+    saveSettingsIfValid();
+    renderSettings();
+}
+
+// Bind the pressed key while capturing, otherwise Escape closes the settings
+function handleSettingsKey(e) {
+    if (!capturingBinding) {
+        if (e.key === 'Escape') closeSettings();
+        return;
+    }
+    e.preventDefault();
+    // Backspace/Delete clears the slot (for controller slots too)
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+        bindCaptured(null);
+    } else if (capturingBinding.device === 'keyboard') {
+        bindCaptured(LineBreakerSettings.normalizeKey(e.key));
+    }
+}
+
+// Show the current settings, marking keys and buttons bound to more than one action
+function renderSettings() {
+    const pad = activeGamepad();
+    const mapping = pad ? LineBreakerSettings.gamepadMapping(settings, pad.id) : null;
+    const conflicts = [
+        ...renderBindings('keyBindings', settings.keys, 'keyboard', LineBreakerSettings.keyLabel),
+        ...(mapping ? renderBindings('gamepadBindings', mapping, 'gamepad', LineBreakerSettings.buttonLabel) : [])
+    ];
+    if (!mapping) document.getElementById('gamepadBindings').innerHTML = '';
+    document.getElementById('gamepadStatus').textContent = pad ?
+        `🎮 ${pad.id}` : 'No controller connected. Press a button on it to connect.';
+    
+    const conflictText = document.getElementById('keyConflicts');
+    conflictText.classList.toggle('hidden', conflicts.length === 0);
+    conflictText.textContent = conflicts.join('. ');
+    document.getElementById('closeSettingsBtn').disabled = conflicts.length > 0;
+    
+    document.querySelectorAll('[data-setting]').forEach(input => {
+        const value = input.dataset.setting.split('.').reduce((obj, key) => obj[key], settings);
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        const output = input.parentElement.querySelector('.setting-value');
+        if (output) output.textContent = value + (input.dataset.unit || '');
+    });
+}
+
+// Fill a bindings list; returns a description of each conflict in it
+function renderBindings(listId, bindings, device, labelFor) {
+    const conflicts = LineBreakerSettings.findConflicts(bindings);
+    const conflictKeys = conflicts.map(conflict => conflict.key);
+    const actionLabel = (id) => LineBreakerSettings.KEY_ACTIONS.find(action => action.id === id).label;
+    const prompt = device === 'keyboard' ? 'Press a key…' : 'Press a button…';
+    
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    for (const action of LineBreakerSettings.KEY_ACTIONS) {
+        const row = document.createElement('div');
+        row.className = 'key-binding';
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        row.appendChild(label);
+        bindings[action.id].forEach((key, index) => {
+            const button = document.createElement('button');
+            const capturing = capturingBinding && capturingBinding.bindings === bindings &&
+                capturingBinding.action === action.id && capturingBinding.index === index;
+            button.className = 'key-binding-btn';
+            button.classList.toggle('capturing', !!capturing);
+            button.classList.toggle('conflict', key !== null && conflictKeys.includes(String(key)));
+            button.textContent = capturing ? prompt : labelFor(key);
+            button.addEventListener('click', () => {
+                capturingBinding = capturing ? null :
+                    { bindings: bindings, device: device, action: action.id, index: index };
+                renderSettings();
+            });
+            row.appendChild(button);
+        });
+        list.appendChild(row);
+    }
+    
+    return conflicts.map(conflict => {
+        const key = device === 'keyboard' ? conflict.key : Number(conflict.key);
+        return `${labelFor(key)} is bound to ${conflict.actions.map(actionLabel).join(' and ')}`;
+    });
+}
+
+// Statistics Screen
+// Every finished game is in IndexedDB (stats.js); the screen reads them all
+// each time it opens and can narrow them down to one mode.
+function setupStatsScreen() {
+    const modeSelect = document.getElementById('statsModeSelect');
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All modes';
+    modeSelect.appendChild(allOption);
+    for (const name in LineBreakerModes.MODES) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = LineBreakerModes.MODES[name].name;
+        modeSelect.appendChild(option);
+    }
+    modeSelect.addEventListener('change', renderStats);
+    
+    const themeSelect = document.getElementById('themeSelect');
+    for (const id in THEMES) {
+        const option = document.createElement('option');
+        option.value = id;
+        themeSelect.appendChild(option);
+    }
+    themeSelect.addEventListener('change', (e) => {
+        applyTheme(e.target.value);
+        localStorage.setItem('lineBreakerTheme', chosenTheme);
+    });
+    
+    document.getElementById('statsBtn').addEventListener('click', openStats);
+    document.getElementById('gameOverStatsBtn').addEventListener('click', openStats);
+    document.getElementById('closeStatsBtn').addEventListener('click', closeStats);
+    document.getElementById('resetStatsBtn').addEventListener('click', () => {
+        if (!confirm('Forget every recorded game?')) return;
+        LineBreakerStats.clearGames().then(renderStats, showStatsError);
+    });
+}
+
+// Open the statistics, pausing a running game first
+function openStats() {
+    const state = gameEngine.state;
+    if (!replayPlayer && state.currentPiece && !state.isPaused && !state.isGameOver) {
+        togglePause();
+    }
+    releaseHeldKeys();
+    statsOpen = true;
+    renderStats();
+    renderAchievements();
+    document.getElementById('statsScreen').classList.remove('hidden');
+}
+
+function closeStats() {
+    statsOpen = false;
+    document.getElementById('statsScreen').classList.add('hidden');
+}
+
+// Load the stored games and fill the screen with the chosen mode's numbers
+function renderStats() {
+    const modeName = document.getElementById('statsModeSelect').value;
+    LineBreakerStats.loadGames().then((games) => {
+        const shown = modeName ? games.filter(game => game.mode === modeName) : games;
+        const summary = LineBreakerStats.summarize(shown);
+        const { totals, averages } = summary;
+        document.getElementById('statsStatus').textContent = shown.length === 0 ?
+            'No finished games yet. Play one and it shows up here.' : '';
+        
+        fillStatsRows('statsTotals', [
+            ['Games', summary.games],
+            ['Score', totals.score],
+            ['Lines', `${totals.lines} (${totals.rowClears} rows, ${totals.colClears} columns)`],
+            ['Pieces placed', totals.pieces],
+            ['Bombs set off', totals.bombs],
+            ['Gravity shifts survived', totals.gravityShifts],
+            ['Time played', formatTime(totals.duration)]
+        ]);
+        fillStatsRows('statsAverages', [
+            ['Score', averages.score],
+            ['Lines', averages.lines],
+            ['Pieces', averages.pieces],
+            ['Game length', formatTime(averages.duration)]
+        ]);
+        fillStatsRows('statsBests', Object.keys(summary.bests).map((name) => {
+            const best = summary.bests[name];
+            const mode = LineBreakerModes.getMode(name);
+            const result = mode.best === 'time' ?
+                (best.time === null ? 'not finished yet' : formatTime(best.time, true)) :
+                `${best.score} points`;
+            return [mode.name, `${result} · ${best.lines} lines · level ${best.level}`];
+        }));
+        drawStatsChart(shown);
+    }, showStatsError);
+}
+
+// List every achievement with how close the player got, and the themes it unlocked
+function renderAchievements() {
+    const list = document.getElementById('achievementList');
+    list.innerHTML = '';
+    for (const id in LineBreakerAchievements.ACHIEVEMENTS) {
+        const achievement = LineBreakerAchievements.ACHIEVEMENTS[id];
+        const unlockedAt = achievementProgress.unlocked[id];
+        const row = document.createElement('div');
+        row.className = 'achievement';
+        row.classList.toggle('unlocked', !!unlockedAt);
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.textContent = unlockedAt ? achievement.icon : '🔒';
+        const text = document.createElement('span');
+        text.className = 'achievement-text';
+        text.innerHTML = `<strong></strong><small></small>`;
+        text.querySelector('strong').textContent = achievement.name;
+        text.querySelector('small').textContent = `${achievement.description} ${unlockText(achievement.unlocks)}`;
+        const status = document.createElement('span');
+        status.className = 'stats-value';
+        status.textContent = unlockedAt ? new Date(unlockedAt).toLocaleDateString() :
+            `${achievementProgress.best[id] || 0}/${achievement.goal}`;
+        row.appendChild(icon);
+        row.appendChild(text);
+        row.appendChild(status);
+        list.appendChild(row);
+    }
+    
+    const themeSelect = document.getElementById('themeSelect');
+    for (const option of themeSelect.options) {
+        const unlocked = isThemeUnlocked(option.value);
+        option.disabled = !unlocked;
+        option.textContent = (unlocked ? '' : '🔒 ') + THEMES[option.value].name;
+    }
+    themeSelect.value = chosenTheme;
+}
+
+// What an achievement unlocks, as a sentence
+function unlockText(unlocks) {
+    if (!unlocks) return '';
+    if (unlocks.theme) return `Unlocks the ${THEMES[unlocks.theme].name} theme.`;
+    return `Unlocks ${LineBreakerModes.getMode(unlocks.mode).name} mode.`;
+}
+
+// Without IndexedDB (private windows in some browsers) there is nothing to show
+function showStatsError(err) {
+    console.log('Statistics not available:', err);
+    document.getElementById('statsStatus').textContent = 'Statistics are not available in this browser.';
+    ['statsTotals', 'statsAverages', 'statsBests'].forEach(id => fillStatsRows(id, []));
+    drawStatsChart([]);
+}
+
+// Fill a list of [label, value] rows
+function fillStatsRows(listId, rows) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    for (const [label, value] of rows) {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+        const labelEl = document.createElement('span');
+        labelEl.textContent = label;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'stats-value';
+        valueEl.textContent = value;
+        row.appendChild(labelEl);
+        row.appendChild(valueEl);
+        list.appendChild(row);
+    }
+}
+
+// Draw Score Chart - one point per game, oldest on the left
+function drawStatsChart(games) {
+    const chart = document.getElementById('statsChart');
+    const context = chart.getContext('2d');
+    const width = chart.width;
+    const height = chart.height;
+    const padding = { left: 44, right: 10, top: 12, bottom: 20 };
+    context.clearRect(0, 0, width, height);
+    
+    // Axes
+    context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(padding.left, padding.top);
+    context.lineTo(padding.left, height - padding.bottom);
+    context.lineTo(width - padding.right, height - padding.bottom);
+    context.stroke();
+    if (games.length === 0) return;
+    
+    const maxScore = Math.max(1, ...games.map(game => game.score));
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const pointX = index => padding.left + (games.length === 1 ? plotWidth / 2 : index / (games.length - 1) * plotWidth);
+    const pointY = score => height - padding.bottom - score / maxScore * plotHeight;
+    
+    // Labels: best score at the top, game count along the bottom
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.font = '10px Arial';
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    context.fillText(maxScore, padding.left - 4, padding.top);
+    context.fillText(0, padding.left - 4, height - padding.bottom);
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillText(`${games.length} game${games.length === 1 ? '' : 's'}`, padding.left + plotWidth / 2, height - padding.bottom + 4);
+    
+    // Score line with a glow
+    context.save();
+    context.strokeStyle = '#00F5FF';
+    context.shadowBlur = 8;
+    context.shadowColor = '#00F5FF';
+    context.lineWidth = 2;
+    context.beginPath();
+    games.forEach((game, index) => {
+        if (index === 0) {
+            context.moveTo(pointX(index), pointY(game.score));
+        } else {
+            context.lineTo(pointX(index), pointY(game.score));
+        }
+    });
+    context.stroke();
+    context.restore();
+    
+    // A dot per game while there is room for them
+    if (games.length <= 60) {
+        context.fillStyle = '#FBFF00';
+        games.forEach((game, index) => {
+            context.beginPath();
+            context.arc(pointX(index), pointY(game.score), 2.5, 0, Math.PI * 2);
+            context.fill();
+        });
+    }
+}
+
+// Leaderboard Screen
+// One table per mode, opened on the chosen mode. Replays kept with an entry
+// can be watched from the menus, but not in the middle of a game.
+function setupLeaderboardScreen() {
+    const modeSelect = document.getElementById('leaderboardModeSelect');
+    for (const name in LineBreakerModes.MODES) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = LineBreakerModes.MODES[name].name;
+        modeSelect.appendChild(option);
+    }
+    modeSelect.addEventListener('change', renderLeaderboard);
+    
+    document.getElementById('leaderboardBtn').addEventListener('click', openLeaderboard);
+    document.getElementById('gameOverLeaderboardBtn').addEventListener('click', openLeaderboard);
+    document.getElementById('closeLeaderboardBtn').addEventListener('click', closeLeaderboard);
+    document.getElementById('exportLeaderboardBtn').addEventListener('click', exportLeaderboard);
+    document.getElementById('importLeaderboardInput').addEventListener('change', importLeaderboard);
+    document.getElementById('saveScoreBtn').addEventListener('click', saveLeaderboardEntry);
+    document.getElementById('playerNameInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveLeaderboardEntry();
+    });
+}
+
+// Open the leaderboard, pausing a running game first
+function openLeaderboard() {
+    const state = gameEngine.state;
+    if (!replayPlayer && state.currentPiece && !state.isPaused && !state.isGameOver) {
+        togglePause();
+    }
+    releaseHeldKeys();
+    document.getElementById('leaderboardModeSelect').value = chosenMode;
+    document.getElementById('leaderboardStatus').textContent = '';
+    renderLeaderboard();
+    document.getElementById('leaderboardScreen').classList.remove('hidden');
+}
+
+function closeLeaderboard() {
+    document.getElementById('leaderboardScreen').classList.add('hidden');
+}
+
+// Menu overlay showing under the leaderboard, null while a game is on
+function openMenu() {
+    return ['gameOver', 'tutorial'].find(id => !document.getElementById(id).classList.contains('hidden')) || null;
+}
+
+// Fill the table for the chosen mode
+function renderLeaderboard() {
+    const modeName = document.getElementById('leaderboardModeSelect').value;
+    const byTime = LineBreakerModes.getMode(modeName).best === 'time';
+    const board = leaderboards[modeName] || [];
+    const menu = openMenu();
+    document.getElementById('leaderboardResultHeader').textContent = byTime ? 'Time' : 'Score';
+    
+    const rows = document.getElementById('leaderboardRows');
+    rows.innerHTML = '';
+    board.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        const cells = [
+            index + 1,
+            entry.name,
+            byTime ? formatTime(entry.time, true) : entry.score,
+            entry.level,
+            new Date(entry.date).toLocaleDateString()
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        const replayCell = document.createElement('td');
+        if (entry.replay) {
+            const button = document.createElement('button');
+            button.className = 'leaderboard-replay-btn';
+            button.textContent = '🎬';
+            button.title = menu ? 'Watch replay' : 'Finish your game to watch replays';
+            button.disabled = !menu;
+            button.addEventListener('click', () => {
+                let replay;
+                try {
+                    replay = LineBreakerReplay.decodeReplay(entry.replay);
+                } catch (err) {
+                    document.getElementById('leaderboardStatus').textContent = `Could not load replay: ${err.message}`;
+                    return;
+                }
+                closeLeaderboard();
+                watchReplay(replay, menu);
+            });
+            replayCell.appendChild(button);
+        }
+        row.appendChild(replayCell);
+        rows.appendChild(row);
+    });
+    if (board.length === 0) {
+        document.getElementById('leaderboardStatus').textContent = 'No entries yet.';
+    }
+}
+
+// Put the last game on the leaderboard under the typed name
+function saveLeaderboardEntry() {
+    if (!pendingEntry) return;
+    const { mode, entry } = pendingEntry;
+    entry.name = LineBreakerLeaderboard.cleanName(document.getElementById('playerNameInput').value);
+    localStorage.setItem('lineBreakerPlayerName', entry.name);
+    if (document.getElementById('keepReplayToggle').checked) {
+        const replay = recorder.getReplay();
+        if (replay) entry.replay = LineBreakerReplay.encodeReplay(replay);
+    }
+    const rank = LineBreakerLeaderboard.addEntry(leaderboards, mode, entry);
+    pendingEntry = null;
+    storeLeaderboards();
+    
+    document.getElementById('playerNameInput').blur();
+    document.getElementById('nameEntry').classList.add('hidden');
+    const rankText = document.getElementById('leaderboardRank');
+    rankText.textContent = `${entry.name} is #${rank + 1} on the ${LineBreakerModes.getMode(mode).name} leaderboard`;
+    rankText.classList.remove('hidden');
+}
+
+// Save the boards; replays take the most room, so the oldest ones are
+// dropped until the boards fit in storage
+function storeLeaderboards() {
+    for (;;) {
+        try {
+            LineBreakerLeaderboard.saveBoards(localStorage, leaderboards);
+            return;
+        } catch (err) {
+            const withReplay = Object.values(leaderboards).flat()
+                .filter(entry => entry.replay)
+                .sort((a, b) => a.date - b.date);
+            if (withReplay.length === 0) {
+                console.log('Leaderboard not saved:', err);
+                return;
+            }
+            delete withReplay[0].replay;
+        }
+    }
+}
+
+// Download every board as a file another device can import
+function exportLeaderboard() {
+    const blob = new Blob([LineBreakerLeaderboard.exportBoards(leaderboards)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'linebreaker-leaderboard.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Merge an exported file into the boards
+function importLeaderboard(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+        leaderboards = LineBreakerLeaderboard.mergeBoards(leaderboards, LineBreakerLeaderboard.importBoards(text));
+        storeLeaderboards();
+        renderLeaderboard();
+        document.getElementById('leaderboardStatus').textContent = 'Leaderboard merged.';
+    }).catch((err) => {
+        document.getElementById('leaderboardStatus').textContent = `Could not import leaderboard: ${err.message}`;
+    });
+}
+
+// Versus
+// Two players on one screen, each steering one board of a match (versus.js)
+// with their half of the keyboard or their own controller. Matches use
+// Marathon's rules with the gravity, piece and cascade options of the menu.
+const VERSUS_BLOCK_SIZE = 18;
+const VERSUS_METER_WIDTH = 8; // Garbage meter left of each board
+const VERSUS_SIDE_WIDTH = 52; // Next and held pieces right of each board
+
+// Each player's keys, by physical key (code) so the halves stay apart on any layout
+const VERSUS_KEYS = [
+    {
+        KeyA: 'moveLeft',
+        KeyD: 'moveRight',
+        KeyS: 'down',
+        KeyW: 'up',
+        KeyQ: 'rotateCounterClockwise',
+        KeyE: 'hold',
+        Space: 'hardDrop'
+    },
+    {
+        ArrowLeft: 'moveLeft',
+        ArrowRight: 'moveRight',
+        ArrowDown: 'down',
+        ArrowUp: 'up',
+        Slash: 'rotateCounterClockwise',
+        ShiftRight: 'hold',
+        Enter: 'hardDrop'
+    }
+];
+
+function setupVersusScreen() {
+    versusContexts = [];
+    for (let index = 0; index < LineBreakerVersus.PLAYER_COUNT; index++) {
+        const board = document.getElementById(`versusCanvas${index}`);
+        board.width = VERSUS_METER_WIDTH + COLS * VERSUS_BLOCK_SIZE + VERSUS_SIDE_WIDTH;
+        board.height = ROWS * VERSUS_BLOCK_SIZE;
+        versusContexts.push(board.getContext('2d'));
+    }
+    document.getElementById('versusBtn').addEventListener('click', startVersus);
+    document.getElementById('versusRematchBtn').addEventListener('click', startVersus);
+    document.getElementById('versusPauseBtn').addEventListener('click', toggleVersusPause);
+    document.getElementById('versusQuitBtn').addEventListener('click', closeVersus);
+}
+
+// Start a match (or a rematch) from the menu's options
+function startVersus() {
+    chosenSeed = document.getElementById('seedInput').value.trim() || null;
+    document.getElementById('tutorial').classList.add('hidden');
+    document.getElementById('versusResult').classList.add('hidden');
+    document.getElementById('versusScreen').classList.remove('hidden');
+    document.getElementById('versusPauseBtn').textContent = '⏸ Pause';
+    cancelAnimationFrame(gameLoop);
+    stopBackgroundMusic();
+    
+    versusMatch = LineBreakerVersus.createMatch({
+        seed: chosenSeed || undefined,
+        generator: generatorFor('marathon'),
+        lockDelay: settings.lockDelay,
+        mode: 'marathon',
+        gravityRule: chosenGravityRule,
+        sidewaysGravity: chosenSideways,
+        cascade: chosenCascade
+    }, showVersusResult);
+    versusInputs = versusMatch.players.map(player => createHeldInput(player.engine));
+    for (const player of versusMatch.players) {
+        const target = player.engine;
+        target.on('hardDrop', () => playSound('hardDrop'));
+        target.on('linesCleared', () => playSound('lineClear'));
+        target.on('special', () => playSound('bomb'));
+        target.on('garbage', () => playSound('drop'));
+    }
+    
+    lastFrameTime = performance.now();
+    cancelAnimationFrame(versusLoop);
+    versusLoop = requestAnimationFrame(updateVersus);
+}
+
+// Leave the match (decided or not) for the menu
+function closeVersus() {
+    if (!versusMatch) return;
+    versusMatch.quit();
+    versusMatch = null;
+    versusInputs = [];
+    cancelAnimationFrame(versusLoop);
+    document.getElementById('versusScreen').classList.add('hidden');
+    showTutorial();
+}
+
+function toggleVersusPause() {
+    if (!versusMatch || versusMatch.over) return;
+    versusMatch.togglePause();
+    versusInputs.forEach(input => releaseHeldKeys(input));
+    document.getElementById('versusPauseBtn').textContent = versusMatch.paused ? '▶ Resume' : '⏸ Pause';
+}
+
+function showVersusResult(winner) {
+    if (winner === null) return;
+    playSound('gameOver');
+    document.getElementById('versusWinner').textContent = `🏆 Player ${winner + 1} wins!`;
+    document.getElementById('versusResult').classList.remove('hidden');
+}
+
+// A key pressed during a match: the half of the keyboard picks the player
+function handleVersusKey(e) {
+    if (e.key === 'Escape' || e.code === 'KeyP') {
+        toggleVersusPause();
+        return;
+    }
+    const index = VERSUS_KEYS.findIndex(keys => keys[e.code]);
+    if (index === -1) return;
+    e.preventDefault();
+    if (e.repeat) return;
+    pressVersusAction(versusInputs[index], VERSUS_KEYS[index][e.code], e.code);
+}
+
+function handleVersusKeyRelease(e) {
+    const index = VERSUS_KEYS.findIndex(keys => keys[e.code]);
+    if (index !== -1) releaseSource(e.code, versusInputs[index]);
+}
+
+// Play a versus player's action, from a key or their controller
+function pressVersusAction(input, action, source) {
+    if (action === 'pause') {
+        toggleVersusPause();
+        return;
+    }
+    if (!input || versusMatch.over) return;
+    pressPlayerAction(input, action, source);
+}
+
+// Versus loop: held keys, both boards, then drawing; runs until the match is closed
+function updateVersus(currentTime) {
+    const delta = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
+    versusLoop = requestAnimationFrame(updateVersus);
+    
+    if (!versusMatch.paused && !versusMatch.over) {
+        versusInputs.forEach(input => updateHeldKeys(delta, input));
+    }
+    versusMatch.update(delta);
+    for (const player of versusMatch.players) {
+        const state = player.engine.state;
+        drawVersusBoard(player);
+        document.getElementById(`versusStats${player.index}`).textContent =
+            `Score ${state.score} · Lines ${state.lines} · Sent ${player.sent}`;
+    }
+}
+
+// Draw a versus player's board, with how the match stands across it
+function drawVersusBoard(player) {
+    let message = null;
+    if (versusMatch.over) {
+        message = versusMatch.winner === player.index ? '🏆 WINNER' : 'TOPPED OUT';
+    } else if (versusMatch.paused) {
+        message = 'PAUSED';
+    }
+    drawMatchBoard(versusContexts[player.index], player.engine.state, player.incoming, message);
+}
+
+// Draw a match board (local or online) on its own canvas: garbage waiting to
+// rise on the left, the stack with the ghost and falling piece, and the next
+// and held pieces on the right. incoming is the waiting garbage in lines per
+// attack; message is shown across the board (gravity warnings when null).
+function drawMatchBoard(context, state, incoming, message) {
+    const size = VERSUS_BLOCK_SIZE;
+    const boardWidth = COLS * size;
+    const boardHeight = ROWS * size;
+    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    
+    // Garbage meter, filling up from the bottom
+    const waiting = incoming.reduce((sum, lines) => sum + lines, 0);
+    const meterHeight = Math.min(waiting, ROWS) * size;
+    context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+    context.fillRect(0, 0, VERSUS_METER_WIDTH - 2, boardHeight);
+    context.fillStyle = '#FF1744';
+    context.fillRect(0, boardHeight - meterHeight, VERSUS_METER_WIDTH - 2, meterHeight);
+    
+    context.save();
+    context.translate(VERSUS_METER_WIDTH, 0);
+    const [edgeColor, centerColor] = THEMES[chosenTheme].board;
+    const grad = context.createLinearGradient(0, 0, 0, boardHeight);
+    grad.addColorStop(0, edgeColor);
+    grad.addColorStop(0.5, centerColor);
+    grad.addColorStop(1, edgeColor);
+    context.fillStyle = grad;
+    context.fillRect(0, 0, boardWidth, boardHeight);
+    
+    // Stack, one single-cell piece per block so specials keep their marks
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            if (state.grid[row][col]) {
+                drawPiece({ shape: [[1]], color: state.grid[row][col], x: col, y: row, special: state.blockTypes[row][col] },
+                    context, size);
+            }
+        }
+    }
+    
+    const piece = state.currentPiece;
+    if (piece && !state.isGameOver) {
+        const ghost = LineBreakerEngine.findLanding(state);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        context.lineWidth = 1.5;
+        piece.shape.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (cell) context.strokeRect((ghost.x + col) * size + 1, (ghost.y + row) * size + 1, size - 3, size - 3);
+        }));
+        drawPiece(piece, context, size);
+    }
+    context.restore();
+    
+    // Next and held pieces
+    const sideX = VERSUS_METER_WIDTH + boardWidth;
+    const previewSize = 10;
+    context.save();
+    context.font = 'bold 11px Arial';
+    context.textAlign = 'center';
+    context.fillStyle = '#00F5FF';
+    context.fillText('NEXT', sideX + VERSUS_SIDE_WIDTH / 2, 14);
+    context.fillStyle = '#FF10F0';
+    context.fillText('HOLD', sideX + VERSUS_SIDE_WIDTH / 2, 84);
+    context.restore();
+    [[state.queue[0], 44], [state.holdPiece, 114]].forEach(([shown, centerY]) => {
+        if (!shown) return;
+        drawPiece(centeredAtSpawn(shown, state.currentGravity, sideX + VERSUS_SIDE_WIDTH / 2, centerY, previewSize),
+            context, previewSize);
+    });
+    
+    // Pause, gravity warnings and the result over the board
+    if (!message && state.gravityWarning && !state.isGameOver) {
+        message = '⚠️ GRAVITY SHIFT';
+    }
+    if (message) {
+        context.save();
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.fillRect(VERSUS_METER_WIDTH, boardHeight / 2 - 22, boardWidth, 44);
+        context.fillStyle = '#FFFFFF';
+        context.font = 'bold 18px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(message, VERSUS_METER_WIDTH + boardWidth / 2, boardHeight / 2);
+        context.restore();
+    }
+}
+
+// Online
+// Matches against other devices through a netplay server (netplay.js and
+// netplay-server.js). Our own board takes the usual keys and controllers;
+// the others are mirrors drawn beside it. Rooms play with the host's menu
+// options, and online games can't be paused.
+const ONLINE_STORAGE_KEY = 'lineBreakerOnline';
+const ONLINE_OUTCOMES = { topOut: 'TOPPED OUT', quit: 'GAVE UP', left: 'LEFT', goal: '🏁 FINISHED' };
+
+function setupOnlineScreen() {
+    const typeSelect = document.getElementById('onlineType');
+    for (const id in LineBreakerNetplay.MATCH_TYPES) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = LineBreakerNetplay.MATCH_TYPES[id].name;
+        typeSelect.appendChild(option);
+    }
+    const showTypeHint = () => {
+        document.getElementById('onlineTypeHint').textContent =
+            LineBreakerNetplay.MATCH_TYPES[typeSelect.value].description;
+    };
+    typeSelect.addEventListener('change', showTypeHint);
+    
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(ONLINE_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.log('Ignoring invalid online settings');
+    }
+    document.getElementById('onlineServer').value = saved.server || defaultServerAddress();
+    document.getElementById('onlineName').value = saved.name || '';
+    if (LineBreakerNetplay.MATCH_TYPES[saved.type]) typeSelect.value = saved.type;
+    showTypeHint();
+    
+    const code = () => document.getElementById('onlineCode').value.trim();
+    document.getElementById('onlineBtn').addEventListener('click', openOnline);
+    document.getElementById('onlineCreateBtn').addEventListener('click', () => {
+        connectOnline(session => session.create(onlineName(), {
+            type: typeSelect.value,
+            generator: generatorFor(LineBreakerNetplay.MATCH_TYPES[typeSelect.value].mode),
+            gravityRule: chosenGravityRule,
+            sidewaysGravity: chosenSideways,
+            cascade: chosenCascade
+        }));
+    });
+    document.getElementById('onlineJoinBtn').addEventListener('click', () => {
+        if (code()) connectOnline(session => session.join(code(), onlineName()));
+    });
+    document.getElementById('onlineWatchBtn').addEventListener('click', () => {
+        if (code()) connectOnline(session => session.watch(code()));
+    });
+    document.getElementById('onlineStartBtn').addEventListener('click', () => onlineSession.start());
+    document.getElementById('onlineLeaveBtn').addEventListener('click', closeOnline);
+}
+
+// The server this page came from when the netplay server served it,
+// otherwise one running on this machine
+function defaultServerAddress() {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+    }
+    return 'ws://localhost:8080';
+}
+
+function onlineName() {
+    return LineBreakerLeaderboard.cleanName(document.getElementById('onlineName').value);
+}
+
+function openOnline() {
+    document.getElementById('tutorial').classList.add('hidden');
+    document.getElementById('onlineScreen').classList.remove('hidden');
+    cancelAnimationFrame(gameLoop);
+    stopBackgroundMusic();
+    renderOnline();
+}
+
+// Leave the room and the server for the menu
+function closeOnline() {
+    if (onlineSession && onlineSession.connected) onlineSession.leave();
+    if (onlineSocket) onlineSocket.close();
+    onlineSession = null;
+    onlineSocket = null;
+    showOnlineMatch(null);
+    document.getElementById('onlineStatus').textContent = '';
+    document.getElementById('onlineScreen').classList.add('hidden');
+    showTutorial();
+}
+
+// Run then with the session, connecting to the server first if needed
+function connectOnline(then) {
+    const server = document.getElementById('onlineServer').value.trim();
+    localStorage.setItem(ONLINE_STORAGE_KEY, JSON.stringify({
+        server: server,
+        name: document.getElementById('onlineName').value.trim(),
+        type: document.getElementById('onlineType').value
+    }));
+    if (onlineSession && onlineSession.connected) {
+        then(onlineSession);
+        return;
+    }
+    
+    const status = document.getElementById('onlineStatus');
+    let socket;
+    try {
+        socket = new WebSocket(server);
+    } catch (e) {
+        status.textContent = 'That server address is not valid.';
+        return;
+    }
+    status.textContent = 'Connecting…';
+    onlineSocket = socket;
+    socket.addEventListener('open', () => {
+        if (onlineSocket !== socket) return;
+        onlineSession = LineBreakerNetplay.createSession(socket, renderOnline);
+        status.textContent = '';
+        then(onlineSession);
+    });
+    socket.addEventListener('error', () => {
+        if (onlineSocket === socket && !onlineSession) {
+            status.textContent = 'Could not reach the server.';
+            onlineSocket = null;
+        }
+    });
+}
+
+// Bring the online screen up to date with the session
+function renderOnline() {
+    const session = onlineSession;
+    const room = session && session.room;
+    const match = session && session.match;
+    const status = document.getElementById('onlineStatus');
+    
+    document.getElementById('onlineLobby').classList.toggle('hidden', !!room);
+    document.getElementById('onlineRoom').classList.toggle('hidden', !room || (!!match && !match.over));
+    if (session && !session.connected) {
+        status.textContent = 'Lost the connection to the server.';
+    } else if (session && session.error) {
+        status.textContent = session.error;
+    } else if (room && !room.playing && !match) {
+        status.textContent = session.isHost ? 'Start when everyone is in.' : 'Waiting for the host to start…';
+    } else if (room && session.seat === null) {
+        status.textContent = `Watching · ${room.spectators} watching`;
+    } else if (session) {
+        status.textContent = '';
+    }
+    
+    if (room) {
+        document.getElementById('onlineRoomCode').textContent = room.code;
+        document.getElementById('onlineRoomType').textContent = LineBreakerNetplay.MATCH_TYPES[room.options.type].name;
+        const list = document.getElementById('onlinePlayers');
+        list.innerHTML = '';
+        for (const player of room.players) {
+            const item = document.createElement('li');
+            item.textContent = player.name + (player.seat === room.host ? ' 👑' : '') +
+                (player.seat === session.seat ? ' (you)' : '');
+            list.appendChild(item);
+        }
+        document.getElementById('onlineStartBtn').classList.toggle('hidden', !session.isHost || room.playing);
+        document.getElementById('onlineStartBtn').textContent = match ? 'Rematch' : 'Start Match';
+    }
+    
+    if ((match || null) !== onlineMatchShown) showOnlineMatch(match || null);
+    const result = document.getElementById('onlineResult');
+    result.classList.toggle('hidden', !match || !match.over);
+    if (match && match.over && result.dataset.shown !== 'true') {
+        const winner = match.boards.find(board => board.seat === match.winner);
+        document.getElementById('onlineWinner').textContent = !winner ? 'No winner' :
+            winner.local ? '🏆 You win!' : `🏆 ${winner.name} wins!`;
+        playSound('gameOver');
+    }
+    result.dataset.shown = String(!!match && match.over);
+}
+
+// Put a match's boards on screen (or take them off for null)
+function showOnlineMatch(match) {
+    onlineMatchShown = match;
+    cancelAnimationFrame(onlineLoop);
+    if (onlineInput) releaseHeldKeys(onlineInput);
+    onlineInput = null;
+    onlineContexts = {};
+    const container = document.getElementById('onlineBoards');
+    container.innerHTML = '';
+    if (!match) return;
+    
+    for (const board of match.boards) {
+        const block = document.createElement('div');
+        block.className = 'versus-player';
+        const title = document.createElement('h3');
+        title.textContent = board.local ? `${board.name} (you)` : board.name;
+        const canvasElement = document.createElement('canvas');
+        canvasElement.className = 'versus-canvas';
+        canvasElement.width = VERSUS_METER_WIDTH + COLS * VERSUS_BLOCK_SIZE + VERSUS_SIDE_WIDTH;
+        canvasElement.height = ROWS * VERSUS_BLOCK_SIZE;
+        const stats = document.createElement('p');
+        stats.className = 'versus-stats';
+        stats.id = `onlineStats${board.seat}`;
+        block.append(title, canvasElement, stats);
+        container.appendChild(block);
+        onlineContexts[board.seat] = canvasElement.getContext('2d');
+    }
+    if (match.own) {
+        const target = match.own.engine;
+        onlineInput = createHeldInput(target);
+        target.on('hardDrop', () => playSound('hardDrop'));
+        target.on('linesCleared', () => playSound('lineClear'));
+        target.on('special', () => playSound('bomb'));
+        target.on('garbage', () => playSound('drop'));
+    }
+    lastFrameTime = performance.now();
+    onlineLoop = requestAnimationFrame(updateOnline);
+}
+
+// Online loop: our own board moves here, the mirrors as messages arrive
+function updateOnline(currentTime) {
+    const delta = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
+    onlineLoop = requestAnimationFrame(updateOnline);
+    const match = onlineMatchShown;
+    
+    if (onlineInput && !match.over) updateHeldKeys(delta, onlineInput);
+    onlineSession.update(delta);
+    for (const board of match.boards) {
+        const state = board.engine.state;
+        let message = null;
+        if (match.over && match.winner === board.seat) {
+            message = '🏆 WINNER';
+        } else if (board.out) {
+            message = ONLINE_OUTCOMES[board.out];
+        }
+        drawMatchBoard(onlineContexts[board.seat], state, board.local ? board.incoming : [], message);
+        document.getElementById(`onlineStats${board.seat}`).textContent = board.local ?
+            `Score ${state.score} · Lines ${state.lines} · Sent ${board.sent}` :
+            `Score ${state.score} · Lines ${state.lines}`;
+    }
+}
+
+// A key pressed on the online screen plays our own board with the usual keys
+function handleOnlineKey(e) {
+    if (e.target.tagName === 'INPUT' && e.target.type === 'text') return;
+    const action = LineBreakerSettings.actionForKey(settings, e.key);
+    if (!action || !onlineInput) return;
+    e.preventDefault();
+    if (e.repeat) return;
+    pressOnlineAction(action, LineBreakerSettings.normalizeKey(e.key));
+}
+
+function pressOnlineAction(action, source) {
+    const match = onlineMatchShown;
+    if (!onlineInput || !match || match.over || match.own.out || action === 'pause') return;
+    pressPlayerAction(onlineInput, action, source);
+}
+
+// Gamepad Controls
+// Controllers have no button events, so while one is connected they are
+// polled every animation frame (menus included, not just during play). Each
+// one's mapped buttons and left
+// stick become a set of held actions, and changes to that set go through the
+// same press/release handling as the keyboard, so DAS/ARR and soft drop work
+// the same way on a pad.
+function setupGamepadControls() {
+    window.addEventListener('gamepadconnected', (e) => {
+        activeGamepadIndex = e.gamepad.index;
+        if (gamepadLoop === null) gamepadLoop = requestAnimationFrame(pollGamepads);
+        if (settingsOpen) renderSettings();
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+        releaseGamepad(e.gamepad.index);
+        const wasPlaying = gamepadInUse && activeGamepadIndex === e.gamepad.index;
+        if (activeGamepadIndex === e.gamepad.index) {
+            activeGamepadIndex = null;
+            gamepadInUse = false;
+        }
+        // Losing the controller mid-game pauses, like losing focus does,
+        // unless the game is being played some other way
+        const state = gameEngine.state;
+        if (wasPlaying && !replayPlayer && state.currentPiece && !state.isPaused && !state.isGameOver) {
+            togglePause();
         }
+        if (settingsOpen) renderSettings();
+    });
+}
+
+// Connected controllers
+function connectedGamepads() {
+    return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+}
+
+// The controller shown in the settings: the last one used, else the first connected
+function activeGamepad() {
+    const pads = connectedGamepads();
+    return pads.find(pad => pad.index === activeGamepadIndex) || pads[0] || null;
+}
+
+// Release everything a controller was holding
+function releaseGamepad(index) {
+    for (const action of gamepadActions[index] || []) {
+        releaseSource(`gamepad${index}:${action}`, gamepadInput(index));
     }
+    delete gamepadActions[index];
+    delete gamepadButtons[index];
 }
 
-// Update Score Display
-function updateScore() {
-    const scoreEl = document.getElementById('score');
-    const linesEl = document.getElementById('lines');
-    const levelEl = document.getElementById('level');
-    
-    // Add pulse animation on score update
-    scoreEl.style.transform = 'scale(1.2)';
-    setTimeout(() => scoreEl.style.transform = 'scale(1)', 200);
+// Actions a controller is holding right now
+function readGamepadActions(pad, pressed) {
+    const mapping = LineBreakerSettings.gamepadMapping(settings, pad.id);
+    const actions = new Set();
+    pressed.forEach((isPressed, button) => {
+        const action = isPressed && LineBreakerSettings.actionForButton(mapping, button);
+        if (action) actions.add(action);
+    });
     
-    scoreEl.textContent = score;
-    linesEl.textContent = lines;
-    levelEl.textContent = level;
+    // Left stick works like the D-pad once it leaves the deadzone
+    const deadzone = settings.gamepad.deadzone;
+    const [x = 0, y = 0] = pad.axes;
+    if (x < -deadzone) actions.add('moveLeft');
+    if (x > deadzone) actions.add('moveRight');
+    if (y > deadzone) actions.add('down');
+    if (y < -deadzone) actions.add('up');
+    return actions;
 }
 
-// Handle Keyboard Input
-function handleKeyPress(e) {
-    // Allow restart when game over animation is complete (progress = 1)
-    if (isGameOver && gameOverAnimation.progress >= 1) {
-        if (e.key === ' ' || e.key === 'Enter') {
-            e.preventDefault();
-            restartGame();
-            return;
+// Poll every controller, once per frame until the last one disconnects
+function pollGamepads() {
+    const pads = connectedGamepads();
+    gamepadLoop = pads.length > 0 ? requestAnimationFrame(pollGamepads) : null;
+    for (const pad of pads) {
+        const pressed = pad.buttons.map(button => button.pressed || button.value > 0.5);
+        const wasPressed = gamepadButtons[pad.index] || [];
+        const newPress = pressed.findIndex((isPressed, button) => isPressed && !wasPressed[button]);
+        gamepadButtons[pad.index] = pressed;
+        if (newPress !== -1) {
+            activeGamepadIndex = pad.index;
+            gamepadInUse = true;
+        }
+        
+        // Settings waiting for a button: bind it instead of playing
+        if (capturingBinding && capturingBinding.device === 'gamepad') {
+            if (newPress !== -1 && pad === activeGamepad()) bindCaptured(newPress);
+            continue;
+        }
+        
+        const held = gamepadActions[pad.index] || new Set();
+        const actions = readGamepadActions(pad, pressed);
+        for (const action of actions) {
+            if (!held.has(action)) pressGamepadAction(action, `gamepad${pad.index}:${action}`, pad.index);
+        }
+        for (const action of held) {
+            if (!actions.has(action)) releaseSource(`gamepad${pad.index}:${action}`, gamepadInput(pad.index));
         }
+        gamepadActions[pad.index] = actions;
     }
-    
-    if (isGameOver) return;
-    
-    // Pause with P or Escape key
-    if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') {
-        togglePause();
+}
+
+// Held input a controller steers: in versus the first two controllers each
+// play one board, otherwise every controller plays the player's own game
+function gamepadInput(index) {
+    if (versusMatch) return versusInputs[index] || null;
+    return onlineInput || playerInput;
+}
+
+// A controller action: plays the game, or works the menus around it
+function pressGamepadAction(action, source, index) {
+    if (settingsOpen || statsOpen) return;
+    if (versusMatch) {
+        pressVersusAction(gamepadInput(index), action, source);
         return;
     }
+    if (!document.getElementById('onlineScreen').classList.contains('hidden')) {
+        pressOnlineAction(action, source);
+        return;
+    }
+    if (!document.getElementById('leaderboardScreen').classList.contains('hidden')) return;
+    const state = gameEngine.state;
+    const tutorialOpen = !document.getElementById('tutorial').classList.contains('hidden');
     
-    if (isPaused) return;
-    
-    switch(e.key) {
-        case 'ArrowLeft':
-        case 'a':
-        case 'A':
-            move(-1);
-            break;
-        case 'ArrowRight':
-        case 'd':
-        case 'D':
-            move(1);
-            break;
-        case 'ArrowDown':
-        case 's':
-        case 'S':
-            // Hard drop based on gravity direction
-            if (currentGravity === GRAVITY.DOWN) {
-                hardDrop();
-            } else {
-                // In UP gravity, down arrow rotates
-                rotate();
-            }
-            break;
-        case 'ArrowUp':
-        case 'w':
-        case 'W':
-            // Hard drop based on gravity direction
-            if (currentGravity === GRAVITY.UP) {
-                e.preventDefault();
-                hardDrop();
-            } else {
-                // In DOWN gravity, up arrow rotates
-                e.preventDefault();
-                rotate();
-            }
-            break;
-        case ' ':
-            e.preventDefault();
-            rotate();
-            break;
+    if (replayPlayer) {
+        if (action === 'pause') toggleReplayPlayback();
+    } else if (tutorialOpen) {
+        if (action === 'pause' || action === 'hardDrop') {
+            document.getElementById('closeTutorial').click();
+        }
+    } else if (state.isGameOver) {
+        if ((action === 'pause' || action === 'hardDrop') && gameOverAnimation.progress >= 1) {
+            restartGame();
+        }
+    } else if (state.currentPiece) {
+        pressAction(action, source);
     }
 }
 
@@ -1165,7 +2557,7 @@ function toggleMusic() {
     btn.textContent = musicEnabled ? '🎵' : '🎶';
     btn.classList.toggle('muted', !musicEnabled);
     
-    if (musicEnabled && !isGameOver) {
+    if (musicEnabled && !gameEngine.state.isGameOver) {
         startBackgroundMusic();
     } else {
         stopBackgroundMusic();
@@ -1382,6 +2774,16 @@ function playSound(type) {
                 case 'thunderFlash':
                     playThunderFlash(now);
                     break;
+        case 'hold':
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(659, now);
+            oscillator.frequency.setValueAtTime(523, now + 0.06);
+            gainNode.gain.setValueAtTime(0.1, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.12);
+            oscillator.start(now);
+            oscillator.stop(now + 0.12);
+            break;
+            
         case 'move':
             oscillator.type = 'sine';
             oscillator.frequency.setValueAtTime(440, now);
@@ -1411,6 +2813,19 @@ function playSound(type) {
             oscillator.stop(now + 0.1);
             break;
             
+        case 'achievement':
+            // Bright rising fanfare
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(784, now);
+            oscillator.frequency.setValueAtTime(988, now + 0.1);
+            oscillator.frequency.setValueAtTime(1175, now + 0.2);
+            oscillator.frequency.setValueAtTime(1568, now + 0.3);
+            gainNode.gain.setValueAtTime(0.3, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.6);
+            oscillator.start(now);
+            oscillator.stop(now + 0.6);
+            break;
+            
         case 'lineClear':
             oscillator.type = 'square';
             oscillator.frequency.setValueAtTime(523, now);
@@ -1500,8 +2915,8 @@ function createParticles(x, y, count, color) {
         particles.push({
             x: x * BLOCK_SIZE + BLOCK_SIZE / 2,
             y: y * BLOCK_SIZE + BLOCK_SIZE / 2,
-            vx: (Math.random() - 0.5) * 8,
-            vy: (Math.random() - 0.5) * 8 - 3,
+            vx: (effectsRandom.next() - 0.5) * 8,
+            vy: (effectsRandom.next() - 0.5) * 8 - 3,
             life: 1,
             color: color || '#FFD700'
         });
@@ -1524,11 +2939,12 @@ function updateParticles() {
 }
 
 // Score popup animation
-function createScorePopup(points) {
+function createScorePopup(points, label, index = 0) {
     scorePopups.push({
         text: `+${points}`,
+        label: label,
         x: canvas.width / 2,
-        y: canvas.height - 100,
+        y: canvas.height - 100 - index * 56,
         alpha: 1,
         scale: 0.1,
         life: 1
@@ -1579,6 +2995,10 @@ function drawScorePopups() {
         ctx.fillStyle = gradient;
         
         ctx.fillText(popup.text, popup.x, popup.y);
+        if (popup.label) {
+            ctx.font = `bold ${16 * popup.scale}px Arial`;
+            ctx.fillText(popup.label, popup.x, popup.y - 26 * popup.scale);
+        }
     }
     ctx.restore();
 }
@@ -1595,50 +3015,57 @@ function setupCanvasTouchControls() {
     let touchStartY = 0;
     let touchStartTime = 0;
     let lastMoveX = 0;
+    let lastMoveY = 0;
     let isDragging = false;
-    const swipeThreshold = 30; // Minimum distance for swipe
-    const tapThreshold = 200; // Maximum time for tap (ms)
-    const dragThreshold = 15; // Minimum distance to start dragging
+    let isMultiTouch = false; // Two-finger tap holds the piece
     
     canvas.addEventListener('touchstart', (e) => {
-        if (isPaused || !currentPiece) return;
+        if (gameEngine.state.isPaused || !gameEngine.state.currentPiece) return;
         e.preventDefault();
+        gamepadInUse = false;
+        if (e.touches.length > 1) {
+            // Fingers that land together start the gesture with this event
+            if (e.changedTouches.length === e.touches.length) touchStartTime = Date.now();
+            isMultiTouch = true;
+            return;
+        }
         const touch = e.touches[0];
         touchStartX = touch.clientX;
         touchStartY = touch.clientY;
         lastMoveX = touch.clientX;
+        lastMoveY = touch.clientY;
         touchStartTime = Date.now();
         isDragging = false;
+        isMultiTouch = false;
     }, { passive: false });
     
     canvas.addEventListener('touchmove', (e) => {
-        if (isPaused || !currentPiece) return;
+        if (gameEngine.state.isPaused || !gameEngine.state.currentPiece || isMultiTouch) return;
         e.preventDefault();
+        const { dragThreshold } = settings.touch;
         const touch = e.touches[0];
         const currentX = touch.clientX;
         const currentY = touch.clientY;
         
-        const deltaX = currentX - touchStartX;
-        const deltaY = currentY - touchStartY;
-        const absDeltaX = Math.abs(deltaX);
-        const absDeltaY = Math.abs(deltaY);
+        const { along, across } = gravityParts(currentX - touchStartX, currentY - touchStartY);
         
-        // Start dragging if moved enough horizontally
-        if (!isDragging && absDeltaX > dragThreshold && absDeltaX > absDeltaY) {
+        // Start dragging if moved enough across gravity
+        if (!isDragging && Math.abs(across) > dragThreshold && Math.abs(across) > Math.abs(along)) {
             isDragging = true;
         }
         
-        // Handle horizontal dragging
+        // Handle dragging across gravity
         if (isDragging) {
             const rect = canvas.getBoundingClientRect();
             const blockWidth = rect.width / COLS;
-            const moveDistance = currentX - lastMoveX;
+            const moveDistance = gravityParts(currentX - lastMoveX, currentY - lastMoveY).across;
             
             // Move piece if dragged more than half a block width
             if (Math.abs(moveDistance) >= blockWidth) {
                 const direction = moveDistance > 0 ? 1 : -1;
-                move(direction);
+                gameEngine.move(direction);
                 lastMoveX = currentX;
+                lastMoveY = currentY;
             }
         }
     }, { passive: false });
@@ -1649,14 +3076,27 @@ function setupCanvasTouchControls() {
         const touchEndX = touch.clientX;
         const touchEndY = touch.clientY;
         const touchEndTime = Date.now();
+        const { swipeThreshold, tapThreshold, swipeToDrop } = settings.touch;
         
-        if (isPaused || !currentPiece) return;
+        if (gameEngine.state.isPaused || !gameEngine.state.currentPiece) return;
+        
+        // Two-finger tap: hold once the last finger lifts
+        if (isMultiTouch) {
+            if (e.touches.length === 0) {
+                isMultiTouch = false;
+                if (touchEndTime - touchStartTime < tapThreshold * 2) {
+                    gameEngine.hold();
+                }
+            }
+            return;
+        }
         
         const deltaX = touchEndX - touchStartX;
         const deltaY = touchEndY - touchStartY;
         const deltaTime = touchEndTime - touchStartTime;
         const absDeltaX = Math.abs(deltaX);
         const absDeltaY = Math.abs(deltaY);
+        const { along, across } = gravityParts(deltaX, deltaY);
         
         // If was dragging, don't process as swipe/tap
         if (isDragging) {
@@ -1666,34 +3106,24 @@ function setupCanvasTouchControls() {
         
         // Tap to rotate (quick touch without much movement)
         if (deltaTime < tapThreshold && absDeltaX < swipeThreshold && absDeltaY < swipeThreshold) {
-            rotate();
-        }
-        // Hard drop based on gravity direction
-        else if (absDeltaY > absDeltaX) {
-            if (currentGravity === GRAVITY.DOWN && deltaY > swipeThreshold) {
-                // Swipe down for hard drop when gravity is DOWN
-                hardDrop();
-            } else if (currentGravity === GRAVITY.UP && deltaY < -swipeThreshold) {
-                // Swipe up for hard drop when gravity is UP
-                hardDrop();
-            }
+            gameEngine.rotate();
         }
-        // Swipe left - multi-column based on distance
-        else if (absDeltaX > absDeltaY && deltaX < -swipeThreshold) {
-            const rect = canvas.getBoundingClientRect();
-            const blockWidth = rect.width / COLS;
-            const columns = Math.max(1, Math.floor(absDeltaX / blockWidth));
-            for (let i = 0; i < columns; i++) {
-                move(-1);
+        // Swipe along gravity for hard drop (unless turned off in the settings)
+        else if (Math.abs(along) > Math.abs(across)) {
+            if (!swipeToDrop) {
+                return;
+            }
+            if (along > swipeThreshold) {
+                gameEngine.hardDrop();
             }
         }
-        // Swipe right - multi-column based on distance
-        else if (absDeltaX > absDeltaY && deltaX > swipeThreshold) {
+        // Swipe across gravity - multi-column based on distance
+        else if (Math.abs(across) > swipeThreshold) {
             const rect = canvas.getBoundingClientRect();
             const blockWidth = rect.width / COLS;
-            const columns = Math.max(1, Math.floor(absDeltaX / blockWidth));
+            const columns = Math.max(1, Math.floor(Math.abs(across) / blockWidth));
             for (let i = 0; i < columns; i++) {
-                move(1);
+                gameEngine.move(across > 0 ? 1 : -1);
             }
         }
         
@@ -1706,47 +3136,57 @@ function setupMouseControls() {
     let mouseStartX = 0;
     let mouseStartY = 0;
     let lastMoveX = 0;
+    let lastMoveY = 0;
     let isDragging = false;
     let isMouseDown = false;
-    const clickThreshold = 200; // Maximum time for click (ms)
-    const dragThreshold = 10; // Minimum distance to start dragging
     let mouseDownTime = 0;
     
     canvas.addEventListener('mousedown', (e) => {
-        if (isPaused || !currentPiece || isGameOver) return;
+        if (gameEngine.state.isPaused || !gameEngine.state.currentPiece || gameEngine.state.isGameOver) return;
         e.preventDefault();
+        gamepadInUse = false;
+        // Right-click holds the piece
+        if (e.button === 2) {
+            if (settings.mouse.rightClickHold) gameEngine.hold();
+            return;
+        }
+        // Dragging and clicking can be turned off for touchpads
+        if (!settings.mouse.enabled) return;
         mouseStartX = e.clientX;
         mouseStartY = e.clientY;
         lastMoveX = e.clientX;
+        lastMoveY = e.clientY;
         mouseDownTime = Date.now();
         isDragging = false;
         isMouseDown = true;
     });
     
     canvas.addEventListener('mousemove', (e) => {
-        if (!isMouseDown || isPaused || !currentPiece || isGameOver) return;
+        if (!isMouseDown || gameEngine.state.isPaused || !gameEngine.state.currentPiece || gameEngine.state.isGameOver) return;
         e.preventDefault();
         
         const currentX = e.clientX;
-        const deltaX = currentX - mouseStartX;
-        const absDeltaX = Math.abs(deltaX);
+        const currentY = e.clientY;
+        const across = gravityParts(currentX - mouseStartX, currentY - mouseStartY).across;
+        const { dragThreshold } = settings.mouse;
         
-        // Start dragging if moved enough horizontally
-        if (!isDragging && absDeltaX > dragThreshold) {
+        // Start dragging if moved enough across gravity
+        if (!isDragging && Math.abs(across) > dragThreshold) {
             isDragging = true;
         }
         
-        // Handle horizontal dragging
+        // Handle dragging across gravity
         if (isDragging) {
             const rect = canvas.getBoundingClientRect();
             const blockWidth = rect.width / COLS;
-            const moveDistance = currentX - lastMoveX;
+            const moveDistance = gravityParts(currentX - lastMoveX, currentY - lastMoveY).across;
             
             // Move piece if dragged more than half a block width
             if (Math.abs(moveDistance) >= blockWidth / 2) {
                 const direction = moveDistance > 0 ? 1 : -1;
-                move(direction);
+                gameEngine.move(direction);
                 lastMoveX = currentX;
+                lastMoveY = currentY;
             }
         }
     });
@@ -1757,12 +3197,12 @@ function setupMouseControls() {
         
         const mouseEndTime = Date.now();
         const deltaTime = mouseEndTime - mouseDownTime;
-        const deltaX = e.clientX - mouseStartX;
-        const absDeltaX = Math.abs(deltaX);
+        const across = gravityParts(e.clientX - mouseStartX, e.clientY - mouseStartY).across;
+        const { clickThreshold, dragThreshold } = settings.mouse;
         
         isMouseDown = false;
         
-        if (isPaused || !currentPiece || isGameOver) {
+        if (gameEngine.state.isPaused || !gameEngine.state.currentPiece || gameEngine.state.isGameOver) {
             isDragging = false;
             return;
         }
@@ -1774,8 +3214,8 @@ function setupMouseControls() {
         }
         
         // Click to rotate (quick click without much movement)
-        if (deltaTime < clickThreshold && absDeltaX < dragThreshold) {
-            rotate();
+        if (deltaTime < clickThreshold && Math.abs(across) < dragThreshold) {
+            gameEngine.rotate();
         }
         
         isDragging = false;
@@ -1795,26 +3235,28 @@ function setupMouseControls() {
 
 // Game Loop
 function update(currentTime) {
-    if (!isGameOver && !isPaused) {
+    const state = engine.state;
+    const delta = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
+    
+    if (replayPlayer) {
+        gameLoop = requestAnimationFrame(update);
+        replayPlayer.advance(delta);
+        updateReplayControls();
+        updateTimer();
+        draw();
+        updateParticles();
+        updateScorePopups();
+        return;
+    }
+    
+    if (!state.isGameOver && !state.isPaused) {
         gameLoop = requestAnimationFrame(update);
         
-        // Gravity shift warning (3 seconds before shift)
-        if (currentTime - lastGravityShift > gravityShiftInterval - 5000 && !gravityWarning) {
-            gravityWarning = true;
-            gravityWarningTime = currentTime;
-        }
-        
-        // Trigger gravity shift
-        if (currentTime - lastGravityShift > gravityShiftInterval) {
-            shiftGravity();
-            lastGravityShift = currentTime;
-            gravityWarning = false;
-        }
-        
-        if (currentTime - lastDropTime > dropInterval) {
-            drop();
-            lastDropTime = currentTime;
-        }
+        // Auto-repeat held keys, then advance the engine clock (drop and gravity shift timers)
+        updateHeldKeys(delta);
+        engine.tick(delta);
+        updateTimer();
         
         draw();
         updateParticles();
@@ -1823,9 +3265,9 @@ function update(currentTime) {
         if (hardDropPath.length > 0 && (performance.now() - hardDropAnimStart > HARD_DROP_ANIM_DURATION)) {
             hardDropPath = [];
         }
-    } else if (isPaused) {
+    } else if (state.isPaused) {
         gameLoop = requestAnimationFrame(update);
-    } else if (isGameOver) {
+    } else if (state.isGameOver) {
         // Keep game loop running during and after game over
         gameLoop = requestAnimationFrame(update);
         draw();
@@ -1834,16 +3276,96 @@ function update(currentTime) {
     }
 }
 
+// Cosmetic themes: the board's background gradient, with a matching page
+// background in styles.css (body.theme-<id>). All but the first are unlocked
+// by achievements.
+const THEMES = {
+    neon: { name: 'Neon Night', board: ['#23234a', '#1a1a2e'] },
+    ember: { name: 'Ember', board: ['#4a2323', '#2e1414'] },
+    toxic: { name: 'Toxic', board: ['#1f4a2a', '#102e18'] },
+    ocean: { name: 'Deep Ocean', board: ['#1f3a5a', '#0e1c33'] },
+    aurora: { name: 'Aurora', board: ['#2e1f4a', '#0f2e2a'] }
+};
+
+function isThemeUnlocked(id) {
+    if (!THEMES[id]) return false;
+    return id === 'neon' || LineBreakerAchievements.unlockedThemes(achievementProgress).includes(id);
+}
+
+function applyTheme(id) {
+    document.body.classList.remove(`theme-${chosenTheme}`);
+    chosenTheme = id;
+    document.body.classList.add(`theme-${chosenTheme}`);
+}
+
+// Announce a newly earned achievement and open up what it unlocks
+function announceAchievement(achievement) {
+    achievementToasts.push({ achievement: achievement, start: null });
+    playSound('achievement');
+    if (achievement.unlocks && achievement.unlocks.mode) updateModeCards();
+}
+
+// Draw Achievement Toast - slides in at the top of the board, one at a time
+function drawAchievementToast() {
+    const toast = achievementToasts[0];
+    if (!toast) return;
+    const now = performance.now();
+    if (toast.start === null) toast.start = now;
+    const elapsed = now - toast.start;
+    if (elapsed > ACHIEVEMENT_TOAST_DURATION) {
+        achievementToasts.shift();
+        return;
+    }
+    
+    const slide = Math.min(1, elapsed / 300);
+    const fade = Math.min(1, (ACHIEVEMENT_TOAST_DURATION - elapsed) / 500);
+    const { achievement } = toast;
+    const x = 10;
+    const width = canvas.width - 20;
+    const height = 54;
+    const y = -height + (height + 10) * slide;
+    
+    ctx.save();
+    ctx.globalAlpha = fade;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 2;
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = '#FFD700';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+    ctx.shadowBlur = 0;
+    
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.font = '26px Arial';
+    ctx.fillText(achievement.icon, x + 26, y + height / 2);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 11px Arial';
+    ctx.fillText('ACHIEVEMENT UNLOCKED', x + 50, y + 15);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 15px Arial';
+    ctx.fillText(achievement.name, x + 50, y + 32);
+    if (achievement.unlocks) {
+        ctx.fillStyle = '#00F5FF';
+        ctx.font = '10px Arial';
+        ctx.fillText(unlockText(achievement.unlocks), x + 50, y + 46);
+    }
+    ctx.restore();
+}
+
 // Draw Game
 function draw() {
     // --- Animated background ---
-    // Animate vertical gradient
+    // Animate vertical gradient in the theme's colors
+    const [edgeColor, centerColor] = THEMES[chosenTheme].board;
     bgGradientOffset += 0.3;
     if (bgGradientOffset > canvas.height) bgGradientOffset = 0;
     let grad = ctx.createLinearGradient(0, bgGradientOffset, 0, canvas.height + bgGradientOffset);
-    grad.addColorStop(0, '#23234a');
-    grad.addColorStop(0.5, '#1a1a2e');
-    grad.addColorStop(1, '#23234a');
+    grad.addColorStop(0, edgeColor);
+    grad.addColorStop(0.5, centerColor);
+    grad.addColorStop(1, edgeColor);
     ctx.fillStyle = grad;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
@@ -1955,14 +3477,18 @@ function draw() {
     // Draw warning line
     drawWarningLine();
     
+    // Draw cleared lines flashing before they vanish
+    drawFlashingLines();
+    
     // Draw ghost piece (where piece will land)
-    if (currentPiece) {
+    if (engine.state.currentPiece) {
         drawGhostPiece();
     }
     
     // Draw current piece
-    if (currentPiece) {
-        drawPiece(currentPiece, ctx);
+    if (engine.state.currentPiece) {
+        drawPiece(engine.state.currentPiece, ctx);
+        drawLockOutline();
     }
     
     // Draw particles
@@ -1971,6 +3497,9 @@ function draw() {
     // Draw score popups
     drawScorePopups();
     
+    // Draw newly earned achievements
+    drawAchievementToast();
+    
     // Draw level up text animation
     drawLevelUpText();
     
@@ -1979,6 +3508,10 @@ function draw() {
     
     // Draw game over animation
     drawGameOverAnimation();
+    
+    // Draw the upcoming pieces and the held piece beside the board
+    drawPreview();
+    drawHold();
 }
 
 function drawGameOverAnimation() {
@@ -2008,6 +3541,7 @@ function drawParticles() {
 
 // Draw Grid
 function drawGrid() {
+    const { grid, blockTypes } = engine.state;
     for (let row = 0; row < ROWS; row++) {
         for (let col = 0; col < COLS; col++) {
             // Check if this cell is in the hard drop animation path
@@ -2057,79 +3591,60 @@ function drawGrid() {
                     }
                 }
                 
-                // Check if this block is in a flashing line
-                const isFlashing = flashingLines.active && 
-                    (flashingLines.rows.includes(row) || flashingLines.cols.includes(col));
-                const flashOn = isFlashing && (flashingLines.flashCount % 2 === 0);
-                
                 ctx.save();
                 ctx.globalAlpha = blockAlpha;
                 
-                if (flashOn) {
-                    // Draw white flash
+                if (isHardDropAnim) {
+                    // Animate a white flash that fades out
+                    ctx.save();
+                    ctx.globalAlpha = hardDropAlpha * 0.7;
                     ctx.fillStyle = '#FFFFFF';
                     ctx.fillRect(x, y, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
-                } else {
-                    if (isHardDropAnim) {
-                        // Animate a white flash that fades out
-                        ctx.save();
-                        ctx.globalAlpha = hardDropAlpha * 0.7;
-                        ctx.fillStyle = '#FFFFFF';
-                        ctx.fillRect(x, y, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
-                        ctx.restore();
-                    }
-                    if (isLockPulse) {
-                        // Draw a much stronger glowing pulse overlay, color-matched to the piece
-                        ctx.save();
-                        ctx.globalAlpha = 0.85 * lockPulseAlpha + 0.15;
-                        ctx.shadowBlur = 32 + 32 * lockPulseAlpha;
-                        ctx.shadowColor = color;
-                        ctx.strokeStyle = color;
-                        ctx.lineWidth = 7 + 4 * lockPulseAlpha;
-                        ctx.strokeRect(x - 2, y - 2, BLOCK_SIZE + 4, BLOCK_SIZE + 4);
-                        // Add a white core for extra pop
-                        ctx.globalAlpha = 0.5 * lockPulseAlpha;
-                        ctx.shadowBlur = 0;
-                        ctx.strokeStyle = '#FFFFFF';
-                        ctx.lineWidth = 2 + 2 * lockPulseAlpha;
-                        ctx.strokeRect(x + 4, y + 4, BLOCK_SIZE - 8, BLOCK_SIZE - 8);
-                        ctx.restore();
-                    }
-                    // Create gradient for 3D effect
-                    const gradient = ctx.createLinearGradient(x, y, x + BLOCK_SIZE, y + BLOCK_SIZE);
-                    gradient.addColorStop(0, color);
-                    gradient.addColorStop(1, shadeColor(color, -30));
-                    ctx.fillStyle = gradient;
-                    ctx.fillRect(x, y, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
+                    ctx.restore();
+                }
+                if (isLockPulse) {
+                    // Draw a much stronger glowing pulse overlay, color-matched to the piece
+                    ctx.save();
+                    ctx.globalAlpha = 0.85 * lockPulseAlpha + 0.15;
+                    ctx.shadowBlur = 32 + 32 * lockPulseAlpha;
+                    ctx.shadowColor = color;
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 7 + 4 * lockPulseAlpha;
+                    ctx.strokeRect(x - 2, y - 2, BLOCK_SIZE + 4, BLOCK_SIZE + 4);
+                    // Add a white core for extra pop
+                    ctx.globalAlpha = 0.5 * lockPulseAlpha;
+                    ctx.shadowBlur = 0;
+                    ctx.strokeStyle = '#FFFFFF';
+                    ctx.lineWidth = 2 + 2 * lockPulseAlpha;
+                    ctx.strokeRect(x + 4, y + 4, BLOCK_SIZE - 8, BLOCK_SIZE - 8);
+                    ctx.restore();
+                }
+                // Create gradient for 3D effect
+                const gradient = ctx.createLinearGradient(x, y, x + BLOCK_SIZE, y + BLOCK_SIZE);
+                gradient.addColorStop(0, color);
+                gradient.addColorStop(1, shadeColor(color, -30));
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x, y, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
                     
-                    // Add top shine
-                    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-                    ctx.fillRect(x, y, BLOCK_SIZE - 1, 4);
+                // Add top shine
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+                ctx.fillRect(x, y, BLOCK_SIZE - 1, 4);
                     
-                    // Add left shine
-                    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-                    ctx.fillRect(x, y, 4, BLOCK_SIZE - 1);
+                // Add left shine
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.fillRect(x, y, 4, BLOCK_SIZE - 1);
                     
-                    // Add bottom shadow
-                    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-                    ctx.fillRect(x, y + BLOCK_SIZE - 4, BLOCK_SIZE - 1, 3);
+                // Add bottom shadow
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+                ctx.fillRect(x, y + BLOCK_SIZE - 4, BLOCK_SIZE - 1, 3);
                     
-                    // Add right shadow
-                    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
-                    ctx.fillRect(x + BLOCK_SIZE - 4, y, 3, BLOCK_SIZE - 1);
+                // Add right shadow
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+                ctx.fillRect(x + BLOCK_SIZE - 4, y, 3, BLOCK_SIZE - 1);
                     
-                    // Draw bomb indicator if this is a bomb block
-                    if (blockTypes[row][col] === BLOCK_TYPES.BOMB) {
-                        ctx.save();
-                        ctx.shadowBlur = 10;
-                        ctx.shadowColor = '#FF0000';
-                        ctx.fillStyle = '#FF0000';
-                        ctx.font = 'bold 18px Arial';
-                        ctx.textAlign = 'center';
-                        ctx.textBaseline = 'middle';
-                        ctx.fillText('💣', x + BLOCK_SIZE / 2, y + BLOCK_SIZE / 2);
-                        ctx.restore();
-                    }
+                // Draw the mark of a special block
+                if (blockTypes[row][col] !== BLOCK_TYPES.NORMAL) {
+                    drawSpecialMark(ctx, blockTypes[row][col], x, y, BLOCK_SIZE);
                 }
                 
                 ctx.restore();
@@ -2138,36 +3653,8 @@ function drawGrid() {
     }
     
     // Draw grid lines
-    // Check if we should pulse grid lines red based on danger zone
-    let shouldPulseGrid = false;
-    
-    if (currentGravity === GRAVITY.DOWN) {
-        // Normal gravity: check top rows
-        let highestBlock = ROWS;
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    highestBlock = Math.min(highestBlock, row);
-                    break;
-                }
-            }
-            if (highestBlock < ROWS) break;
-        }
-        shouldPulseGrid = highestBlock <= 5;
-    } else {
-        // UP gravity: check bottom rows
-        let lowestBlock = -1;
-        for (let row = ROWS - 1; row >= 0; row--) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    lowestBlock = Math.max(lowestBlock, row);
-                    break;
-                }
-            }
-            if (lowestBlock >= 0) break;
-        }
-        shouldPulseGrid = lowestBlock >= ROWS - 6;
-    }
+    // Pulse grid lines red when blocks come within 5 lines of the spawn edge
+    const shouldPulseGrid = stackDistanceFromSpawn(engine.state) <= 5;
     
     if (shouldPulseGrid) {
         const pulseIntensity = Math.sin(Date.now() / 150) * 0.3 + 0.7;
@@ -2192,86 +3679,52 @@ function drawGrid() {
     }
 }
 
-// Draw Warning Line
-function drawWarningLine() {
-    // Warning line position changes based on gravity
-    let warningRow, warningY;
-    let highestBlock, lowestBlock;
-    
-    if (currentGravity === GRAVITY.DOWN) {
-        // Normal gravity: warning line near top
-        warningRow = 7; // 3 rows before danger zone (which starts at row 4)
-        warningY = warningRow * BLOCK_SIZE;
-        
-        // Find highest block position
-        highestBlock = ROWS;
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    highestBlock = Math.min(highestBlock, row);
-                    break;
-                }
-            }
-            if (highestBlock < ROWS) break;
-        }
-    } else {
-        // UP gravity: warning line near bottom
-        warningRow = ROWS - 8; // 3 rows before danger zone (which starts at row ROWS-4)
-        warningY = warningRow * BLOCK_SIZE;
-        
-        // Find lowest block position
-        lowestBlock = -1;
-        for (let row = ROWS - 1; row >= 0; row--) {
-            for (let col = 0; col < COLS; col++) {
-                if (grid[row][col]) {
-                    lowestBlock = Math.max(lowestBlock, row);
-                    break;
-                }
+// Lines between the closest block and the spawn edge (the board's depth when empty)
+function stackDistanceFromSpawn(state) {
+    const { grid, currentGravity } = state;
+    let distance = LineBreakerEngine.isSideways(currentGravity) ? COLS : ROWS;
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            if (grid[row][col]) {
+                distance = Math.min(distance, LineBreakerEngine.spawnDistance(currentGravity, row, col));
             }
-            if (lowestBlock >= 0) break;
         }
     }
+    return distance;
+}
+
+// Draw Warning Line
+function drawWarningLine() {
+    const state = engine.state;
+    // Warning line sits 7 lines in from the spawn edge, 3 lines before the danger zone
+    const offset = 7 * BLOCK_SIZE;
+    const width = COLS * BLOCK_SIZE;
+    const height = ROWS * BLOCK_SIZE;
+    const lines = {
+        [GRAVITY.DOWN]: [0, offset, width, offset],
+        [GRAVITY.UP]: [0, height - offset, width, height - offset],
+        [GRAVITY.LEFT]: [width - offset, 0, width - offset, height],
+        [GRAVITY.RIGHT]: [offset, 0, offset, height]
+    };
+    const [fromX, fromY, toX, toY] = lines[state.currentGravity];
+    const distance = stackDistanceFromSpawn(state);
     
     // Determine line color and animation based on block height
-    let lineColor, lineWidth, shouldPulse;
-    
-    if (currentGravity === GRAVITY.DOWN) {
-        if (highestBlock <= 5) {
-            // Red + pulsing (blocks at row 5 or higher - critical warning)
-            const pulseIntensity = Math.sin(Date.now() / 150) * 0.3 + 0.7;
-            lineColor = `rgba(255, 0, 0, ${pulseIntensity})`;
-            lineWidth = 3 + Math.sin(Date.now() / 150) * 1;
-            shouldPulse = true;
-        } else if (highestBlock <= 6) {
-            // Yellow (blocks at row 6 - caution)
-            lineColor = 'rgba(255, 200, 0, 0.8)';
-            lineWidth = 3;
-            shouldPulse = false;
-        } else {
-            // Green (safe zone)
-            lineColor = 'rgba(0, 255, 100, 0.6)';
-            lineWidth = 2;
-            shouldPulse = false;
-        }
+    let lineColor, lineWidth;
+    
+    if (distance <= 5) {
+        // Red + pulsing (blocks 5 lines from the spawn edge or closer - critical warning)
+        const pulseIntensity = Math.sin(Date.now() / 150) * 0.3 + 0.7;
+        lineColor = `rgba(255, 0, 0, ${pulseIntensity})`;
+        lineWidth = 3 + Math.sin(Date.now() / 150) * 1;
+    } else if (distance <= 6) {
+        // Yellow (blocks 6 lines from the spawn edge - caution)
+        lineColor = 'rgba(255, 200, 0, 0.8)';
+        lineWidth = 3;
     } else {
-        // UP gravity
-        if (lowestBlock >= ROWS - 6) {
-            // Red + pulsing (blocks at row ROWS-6 or lower - critical warning)
-            const pulseIntensity = Math.sin(Date.now() / 150) * 0.3 + 0.7;
-            lineColor = `rgba(255, 0, 0, ${pulseIntensity})`;
-            lineWidth = 3 + Math.sin(Date.now() / 150) * 1;
-            shouldPulse = true;
-        } else if (lowestBlock >= ROWS - 7) {
-            // Yellow (blocks at row ROWS-7 - caution)
-            lineColor = 'rgba(255, 200, 0, 0.8)';
-            lineWidth = 3;
-            shouldPulse = false;
-        } else {
-            // Green (safe zone)
-            lineColor = 'rgba(0, 255, 100, 0.6)';
-            lineWidth = 2;
-            shouldPulse = false;
-        }
+        // Green (safe zone)
+        lineColor = 'rgba(0, 255, 100, 0.6)';
+        lineWidth = 2;
     }
     
     // Draw the warning line
@@ -2279,8 +3732,8 @@ function drawWarningLine() {
     ctx.lineWidth = lineWidth;
     ctx.setLineDash([5, 3]); // Dashed line
     ctx.beginPath();
-    ctx.moveTo(0, warningY);
-    ctx.lineTo(COLS * BLOCK_SIZE, warningY);
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
     ctx.stroke();
     ctx.setLineDash([]); // Reset to solid line
     ctx.lineWidth = 1;
@@ -2288,23 +3741,14 @@ function drawWarningLine() {
 
 // Draw Ghost Piece (shows where piece will land)
 function drawGhostPiece() {
+    const state = engine.state;
+    const currentPiece = state.currentPiece;
     if (!currentPiece) return;
     
     // Calculate ghost position (where piece will land), gravity-aware
-    let ghostY = currentPiece.y;
-    if (currentGravity === GRAVITY.DOWN) {
-        while (!collision(currentPiece.x, ghostY + 1, currentPiece.shape)) {
-            ghostY++;
-        }
-        // Only draw ghost if it's below the current piece
-        if (ghostY <= currentPiece.y) return;
-    } else {
-        while (!collision(currentPiece.x, ghostY - 1, currentPiece.shape)) {
-            ghostY--;
-        }
-        // Only draw ghost if it's above the current piece
-        if (ghostY >= currentPiece.y) return;
-    }
+    const ghost = LineBreakerEngine.findLanding(state);
+    // Only draw ghost if it's ahead of the current piece
+    if (ghost.x === currentPiece.x && ghost.y === currentPiece.y) return;
     const shape = currentPiece.shape;
     // Draw ghost piece with semi-transparent outline
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
@@ -2313,8 +3757,8 @@ function drawGhostPiece() {
     for (let row = 0; row < shape.length; row++) {
         for (let col = 0; col < shape[row].length; col++) {
             if (shape[row][col]) {
-                const x = (currentPiece.x + col) * BLOCK_SIZE;
-                const y = (ghostY + row) * BLOCK_SIZE;
+                const x = (ghost.x + col) * BLOCK_SIZE;
+                const y = (ghost.y + row) * BLOCK_SIZE;
                 // Draw dashed outline
                 ctx.strokeRect(x + 1, y + 1, BLOCK_SIZE - 3, BLOCK_SIZE - 3);
             }
@@ -2324,77 +3768,177 @@ function drawGhostPiece() {
     ctx.lineWidth = 1;
 }
 
-// Draw Piece
-function drawPiece(piece, context) {
+// Draw Lock Outline (fades out as a landed piece runs out of lock delay)
+function drawLockOutline() {
+    const progress = LineBreakerEngine.lockProgress(engine.state);
+    if (progress === null) return;
+    const piece = engine.state.currentPiece;
     const shape = piece.shape;
-    const color = piece.color;
-    
-    // Find center block for bomb indicator
-    let centerRow = -1, centerCol = -1;
-    if (piece.hasBomb) {
-        let blockCount = 0;
-        let totalRow = 0, totalCol = 0;
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                if (shape[row][col]) {
-                    totalRow += row;
-                    totalCol += col;
-                    blockCount++;
-                }
+    ctx.save();
+    ctx.strokeStyle = `rgba(255, 255, 255, ${0.9 * (1 - progress)})`;
+    ctx.lineWidth = 3;
+    for (let row = 0; row < shape.length; row++) {
+        for (let col = 0; col < shape[row].length; col++) {
+            if (shape[row][col]) {
+                ctx.strokeRect((piece.x + col) * BLOCK_SIZE + 1.5, (piece.y + row) * BLOCK_SIZE + 1.5,
+                    BLOCK_SIZE - 4, BLOCK_SIZE - 4);
             }
         }
-        if (blockCount > 0) {
-            centerRow = Math.round(totalRow / blockCount);
-            centerCol = Math.round(totalCol / blockCount);
-        }
     }
+    ctx.restore();
+}
+
+// Draw Flashing Lines (cells the engine just cleared)
+function drawFlashingLines() {
+    if (!flashingLines.active) return;
+    const flashOn = flashingLines.flashCount % 2 === 0;
+    ctx.save();
+    for (const cell of flashingLines.cells) {
+        // Alternate between a white flash and the block's own color
+        ctx.fillStyle = flashOn ? '#FFFFFF' : cell.color;
+        ctx.fillRect(cell.col * BLOCK_SIZE, cell.row * BLOCK_SIZE, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
+    }
+    ctx.restore();
+}
+
+// Draw Special Block Mark - its symbol glowing in its color; ice also frosts the block over
+function drawSpecialMark(context, type, x, y, blockSize) {
+    const block = LineBreakerBlocks.SPECIAL_BLOCKS[type];
+    if (!block) return;
+    context.save();
+    if (type === BLOCK_TYPES.ICE) {
+        context.fillStyle = 'rgba(191, 239, 255, 0.45)';
+        context.fillRect(x, y, blockSize - 1, blockSize - 1);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.lineWidth = 1;
+        context.strokeRect(x + 1.5, y + 1.5, blockSize - 4, blockSize - 4);
+    }
+    context.shadowBlur = 10;
+    context.shadowColor = block.color;
+    context.fillStyle = block.color;
+    context.font = `bold ${Math.round(blockSize * 0.6)}px Arial`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(block.symbol, x + blockSize / 2, y + blockSize / 2);
+    context.restore();
+}
+
+// Draw Piece
+function drawPiece(piece, context, blockSize = BLOCK_SIZE) {
+    const shape = piece.shape;
+    const color = piece.color;
+    
+    // Find the block that carries the special one (all of them for ice)
+    const block = LineBreakerBlocks.SPECIAL_BLOCKS[piece.special];
+    const specialCell = block && !block.wholePiece ? LineBreakerEngine.findSpecialCell(shape) : null;
     
     for (let row = 0; row < shape.length; row++) {
         for (let col = 0; col < shape[row].length; col++) {
             if (shape[row][col]) {
-                const x = (piece.x + col) * BLOCK_SIZE;
-                const y = (piece.y + row) * BLOCK_SIZE;
+                const x = (piece.x + col) * blockSize;
+                const y = (piece.y + row) * blockSize;
                 
                 // Create gradient for 3D effect
-                const gradient = context.createLinearGradient(x, y, x + BLOCK_SIZE, y + BLOCK_SIZE);
+                const gradient = context.createLinearGradient(x, y, x + blockSize, y + blockSize);
                 gradient.addColorStop(0, color);
                 gradient.addColorStop(1, shadeColor(color, -30));
                 context.fillStyle = gradient;
-                context.fillRect(x, y, BLOCK_SIZE - 1, BLOCK_SIZE - 1);
+                context.fillRect(x, y, blockSize - 1, blockSize - 1);
                 
                 // Add top shine
                 context.fillStyle = 'rgba(255, 255, 255, 0.5)';
-                context.fillRect(x, y, BLOCK_SIZE - 1, 4);
+                context.fillRect(x, y, blockSize - 1, 4);
                 
                 // Add left shine
                 context.fillStyle = 'rgba(255, 255, 255, 0.3)';
-                context.fillRect(x, y, 4, BLOCK_SIZE - 1);
+                context.fillRect(x, y, 4, blockSize - 1);
                 
                 // Add bottom shadow
                 context.fillStyle = 'rgba(0, 0, 0, 0.4)';
-                context.fillRect(x, y + BLOCK_SIZE - 4, BLOCK_SIZE - 1, 3);
+                context.fillRect(x, y + blockSize - 4, blockSize - 1, 3);
                 
                 // Add right shadow
                 context.fillStyle = 'rgba(0, 0, 0, 0.3)';
-                context.fillRect(x + BLOCK_SIZE - 4, y, 3, BLOCK_SIZE - 1);
+                context.fillRect(x + blockSize - 4, y, 3, blockSize - 1);
                 
-                // Draw bomb indicator on center block
-                if (piece.hasBomb && row === centerRow && col === centerCol) {
-                    context.save();
-                    context.shadowBlur = 10;
-                    context.shadowColor = '#FF0000';
-                    context.fillStyle = '#FF0000';
-                    context.font = 'bold 18px Arial';
-                    context.textAlign = 'center';
-                    context.textBaseline = 'middle';
-                    context.fillText('💣', x + BLOCK_SIZE / 2, y + BLOCK_SIZE / 2);
-                    context.restore();
+                // Draw the special block's mark
+                if (block && (block.wholePiece || (row === specialCell.row && col === specialCell.col))) {
+                    drawSpecialMark(context, piece.special, x, y, blockSize);
                 }
             }
         }
     }
 }
 
+// Draw Next Piece Preview (the queue lines up from the spawn edge)
+function drawPreview() {
+    const state = engine.state;
+    const width = previewCanvas.width;
+    const height = previewCanvas.height;
+    previewCtx.clearRect(0, 0, width, height);
+    
+    const fromBottom = readsFromBottom(state.currentGravity);
+    previewCtx.save();
+    previewCtx.font = 'bold 13px Arial';
+    previewCtx.textAlign = 'center';
+    previewCtx.textBaseline = 'middle';
+    previewCtx.fillStyle = '#00F5FF';
+    previewCtx.fillText('NEXT', width / 2, fromBottom ? height - 14 : 14);
+    previewCtx.restore();
+    
+    const slotHeight = 80;
+    state.queue.slice(0, previewCount).forEach((piece, i) => {
+        // The very next piece is drawn a little larger than the rest
+        const size = i === 0 ? 18 : 14;
+        const centerY = fromBottom ? height - 30 - slotHeight * (i + 0.5) : 30 + slotHeight * (i + 0.5);
+        drawPiece(centeredAtSpawn(piece, state.currentGravity, width / 2, centerY, size), previewCtx, size);
+    });
+}
+
+// The side strips list pieces starting from the end nearest the spawn edge:
+// from the bottom while gravity pulls up, from the top otherwise (the spawn
+// edge of sideways gravity runs along the strips, so they read downward)
+function readsFromBottom(gravity) {
+    return LineBreakerEngine.GRAVITY_VECTORS[gravity].y < 0;
+}
+
+// A waiting piece turned the way it will spawn under a gravity, placed so
+// its center lands on a point of a canvas drawn with blocks of a size
+function centeredAtSpawn(piece, gravity, centerX, centerY, size) {
+    const shape = LineBreakerEngine.orientShape(piece.type, 0, gravity);
+    return Object.assign({}, piece, {
+        shape: shape,
+        x: centerX / size - shape[0].length / 2,
+        y: centerY / size - shape.length / 2
+    });
+}
+
+// Draw Hold Slot (dimmed while the hold is used up for this piece)
+function drawHold() {
+    const state = engine.state;
+    const width = holdCanvas.width;
+    const height = holdCanvas.height;
+    holdCtx.clearRect(0, 0, width, height);
+    
+    const fromBottom = readsFromBottom(state.currentGravity);
+    holdCtx.save();
+    holdCtx.font = 'bold 13px Arial';
+    holdCtx.textAlign = 'center';
+    holdCtx.textBaseline = 'middle';
+    holdCtx.fillStyle = '#FF10F0';
+    holdCtx.fillText('HOLD', width / 2, fromBottom ? height - 14 : 14);
+    holdCtx.restore();
+    
+    const piece = state.holdPiece;
+    if (!piece) return;
+    const size = 18;
+    const centerY = fromBottom ? height - 70 : 70;
+    holdCtx.save();
+    holdCtx.globalAlpha = state.canHold ? 1 : 0.35;
+    drawPiece(centeredAtSpawn(piece, state.currentGravity, width / 2, centerY, size), holdCtx, size);
+    holdCtx.restore();
+}
+
 // Helper function to darken/lighten colors
 function shadeColor(color, percent) {
     const num = parseInt(color.replace('#', ''), 16);
@@ -2410,10 +3954,12 @@ function shadeColor(color, percent) {
 
 // Game Over
 function gameOver() {
-    isGameOver = true;
     playSound('gameOver');
     stopBackgroundMusic();
     
+    // Ending the game from the pause screen
+    showPaused(false);
+    
     // Remove shake effect
     document.querySelector('.canvas-container').classList.remove('danger');
     
@@ -2470,21 +4016,57 @@ function startGameOverAnimation() {
 }
 
 function showGameOverScreen() {
+    const state = gameEngine.state;
+    const { score, level, lines } = state;
+    const mode = LineBreakerModes.getMode(state.mode);
+    const time = mode.timeLimit ? Math.min(state.time, mode.timeLimit) : state.time;
     gameOverAnimation.active = false;
     
-    // Update high score if beaten
-    if (score > highScore) {
-        highScore = score;
-        localStorage.setItem('lineBreakerHighScore', highScore);
-        document.getElementById('highScore').textContent = highScore;
-        document.getElementById('newHighScore').classList.remove('hidden');
-    } else {
-        document.getElementById('newHighScore').classList.add('hidden');
-    }
-    
+    // Sprint ranks finished runs by time (lower is better), every other mode by score
+    const byTime = mode.best === 'time';
+    const result = byTime ? (state.outcome === 'goal' ? Math.round(time) : 0) : score;
+    const isBest = result > 0 && (highScore === 0 || (byTime ? result < highScore : result > highScore));
+    if (isBest) {
+        highScore = result;
+        localStorage.setItem(bestKey(state.mode), highScore);
+        document.getElementById('highScore').textContent = formatBest(state.mode, highScore);
+    }
+    document.getElementById('newHighScore').classList.toggle('hidden', !isBest);
+    document.getElementById('newHighScore').textContent = byTime ? '🎉 NEW BEST TIME! 🎉' : '🎉 NEW HIGH SCORE! 🎉';
+    
+    const titles = {
+        goal: mode.lineGoal ? `${mode.name} Complete!` : "Time's Up!",
+        topOut: 'Game Over!',
+        quit: 'Game Ended'
+    };
+    document.getElementById('gameOverTitle').textContent = titles[state.outcome] || titles.topOut;
+    document.getElementById('finalMode').textContent = mode.name;
     document.getElementById('finalScore').textContent = score;
     document.getElementById('finalLevel').textContent = level;
-    document.getElementById('finalHighScore').textContent = highScore;
+    document.getElementById('finalLines').textContent = lines;
+    document.getElementById('finalTime').textContent = formatTime(time, true);
+    document.getElementById('bestLabel').textContent = byTime ? 'Best Time' : 'Best Score';
+    document.getElementById('finalHighScore').textContent = formatBest(state.mode, highScore);
+    document.getElementById('finalSeed').textContent = gameEngine.state.seed;
+    
+    // Offer a place on the leaderboard
+    const entry = {
+        score: score,
+        lines: lines,
+        level: level,
+        time: Math.round(time),
+        outcome: state.outcome,
+        date: Date.now(),
+        seed: state.seed
+    };
+    const rank = LineBreakerLeaderboard.rankFor(leaderboards, state.mode, entry);
+    pendingEntry = rank >= 0 ? { mode: state.mode, entry: entry } : null;
+    document.getElementById('nameEntry').classList.toggle('hidden', rank < 0);
+    document.getElementById('leaderboardRank').classList.add('hidden');
+    if (rank >= 0) {
+        document.getElementById('nameEntryRank').textContent = `#${rank + 1} on the ${mode.name} leaderboard!`;
+        document.getElementById('playerNameInput').value = localStorage.getItem('lineBreakerPlayerName') || '';
+    }
     document.getElementById('gameOver').classList.remove('hidden');
     
     // Stop the game loop after overlay is shown
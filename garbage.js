@@ -0,0 +1,48 @@
+// LineBreaker Garbage
+// Gray lines with a single hole that rise from the floor and push the stack
+// toward the spawn edge. In versus matches clears attack the other board with
+// them; this decides how many lines a clear is worth, and the engine inserts
+// them on whichever edge gravity pulls toward.
+(function (root) {
+
+const GARBAGE_COLOR = '#6B6B80';
+
+// Lines sent for a clear, by lines cleared; more than four send as four
+const CLEAR_ATTACK = [0, 0, 1, 2, 4];
+const T_SPIN_ATTACK = 2; // Per line of a full T-spin, instead of the table
+const PERFECT_CLEAR_ATTACK = 4; // On top of the clear
+const CHAIN_ATTACK = 1; // Per follow-up clear of a cascade, on top of the clear
+// Lines a combo adds, by combo count; longer combos add the last one
+const COMBO_ATTACK = [0, 0, 1, 1, 2, 2, 3, 3, 4];
+
+// Lines of garbage a clear sends. clear is the engine's 'scored' event:
+//   lines: lines cleared (rows and columns)
+//   tSpin: null, 'mini' or 'full'
+//   perfectClear: the board is empty afterwards
+//   combo: pieces in a row that cleared lines, minus one
+//   chain: follow-up clear number of a cascade, missing for the first clear
+function attackFor(clear) {
+    if (!clear.lines) return 0;
+    let attack = clear.tSpin === 'full' ?
+        clear.lines * T_SPIN_ATTACK : CLEAR_ATTACK[Math.min(clear.lines, CLEAR_ATTACK.length - 1)];
+    if (clear.chain) {
+        attack += (clear.chain - 1) * CHAIN_ATTACK;
+    } else if (clear.combo > 0) {
+        attack += COMBO_ATTACK[Math.min(clear.combo, COMBO_ATTACK.length - 1)];
+    }
+    if (clear.perfectClear) attack += PERFECT_CLEAR_ATTACK;
+    return attack;
+}
+
+const LineBreakerGarbage = {
+    GARBAGE_COLOR: GARBAGE_COLOR,
+    attackFor: attackFor
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerGarbage;
+} else {
+    root.LineBreakerGarbage = LineBreakerGarbage;
+}
+
+})(typeof self !== 'undefined' ? self : this);
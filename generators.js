@@ -0,0 +1,108 @@
+// LineBreaker Piece Generators
+// Each generator picks the next shape index from the engine state and a
+// seeded random function. Anything a generator needs to remember (the bag)
+// lives in state.bag so states stay cloneable and replays stay exact.
+(function (root) {
+
+const SHAPE_COUNT = 12;
+const TETROMINOES = [0, 1, 2, 3, 4, 5, 6]; // I, O, T, S, Z, L, J
+const ALL_SHAPES = Array.from({ length: SHAPE_COUNT }, (_, i) => i);
+
+// Weighted table: [weight at level 1, change per level]. Small friendly
+// shapes fade out and the awkward tetrominoes take over as the level rises.
+const WEIGHTS = [
+    [10, 0],     // I
+    [10, 0],     // O
+    [8, 0.5],    // T
+    [5, 1],      // S
+    [5, 1],      // Z
+    [8, 0.5],    // L
+    [8, 0.5],    // J
+    [12, -0.6],  // Single dot
+    [10, -0.5],  // Double dot
+    [9, -0.4],   // Small L
+    [9, -0.4],   // Triple horizontal
+    [9, -0.4]    // Small reverse L
+];
+const WEIGHT_LEVEL_CAP = 20; // Weights stop shifting after this level
+const MIN_WEIGHT = 1;
+
+// Fisher-Yates shuffle driven by the seeded random function
+function shuffle(items, random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Deal from a shuffled bag, refilling it once it runs out
+function fromBag(shapes) {
+    return (state, random) => {
+        if (!state.bag || state.bag.length === 0) {
+            state.bag = shuffle(shapes, random);
+        }
+        return state.bag.shift();
+    };
+}
+
+// Shape weights for a level
+function getWeights(level) {
+    const steps = Math.min(level, WEIGHT_LEVEL_CAP) - 1;
+    return WEIGHTS.map(([base, perLevel]) => Math.max(MIN_WEIGHT, base + perLevel * steps));
+}
+
+// Pick a shape by weight for the current level
+function weighted(state, random) {
+    const weights = getWeights(state.level);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return i;
+    }
+    return weights.length - 1;
+}
+
+const GENERATORS = {
+    uniform: {
+        name: 'Uniform',
+        next: (state, random) => Math.floor(random() * SHAPE_COUNT)
+    },
+    bag7: {
+        name: '7-Bag (tetrominoes)',
+        next: fromBag(TETROMINOES)
+    },
+    bag12: {
+        name: '12-Bag (all shapes)',
+        next: fromBag(ALL_SHAPES)
+    },
+    weighted: {
+        name: 'Weighted by level',
+        next: weighted
+    }
+};
+
+const DEFAULT_GENERATOR = 'uniform';
+
+// Look up a generator, falling back to the default for unknown names
+function getGenerator(name) {
+    return GENERATORS[name] || GENERATORS[DEFAULT_GENERATOR];
+}
+
+const LineBreakerGenerators = {
+    GENERATORS: GENERATORS,
+    DEFAULT_GENERATOR: DEFAULT_GENERATOR,
+    getGenerator: getGenerator,
+    getWeights: getWeights,
+    shuffle: shuffle
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerGenerators;
+} else {
+    root.LineBreakerGenerators = LineBreakerGenerators;
+}
+
+})(typeof self !== 'undefined' ? self : this);
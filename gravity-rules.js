@@ -0,0 +1,88 @@
+// LineBreaker Gravity Rules
+// A gravity rule decides when the board flips. Timed rules schedule the next
+// shift after each one (fixed, shrinking with the level or random), event
+// rules arm a shift when enough lines are cleared or a bomb goes off. Every
+// shift is announced by a warning first, so the player always sees it coming.
+(function (root) {
+
+const DEFAULT_INTERVAL = 25000; // The original 25 second flip
+const MIN_INTERVAL = 10000; // Leaves a full warning plus time to react
+const EVENT_SHIFT_DELAY = 3000; // Warning time for shifts triggered by events
+
+// Each rule:
+//   name, description: shown in the menu
+//   interval: ms between timed shifts (none when missing)
+//   intervalPerLevel: ms taken off the interval for every level after the first
+//   randomInterval: [min, max] ms, drawn again after every shift
+//   everyLines: arm a shift after this many cleared lines
+//   onBomb: arm a shift when a bomb explodes
+const GRAVITY_RULES = {
+    timed: {
+        name: 'Every 25 seconds',
+        description: 'The board flips on a steady clock.',
+        interval: DEFAULT_INTERVAL
+    },
+    leveled: {
+        name: 'Faster each level',
+        description: 'Starts at 25 seconds, one second quicker per level.',
+        interval: DEFAULT_INTERVAL,
+        intervalPerLevel: 1000
+    },
+    random: {
+        name: 'Random',
+        description: 'Anywhere from 10 to 40 seconds apart.',
+        randomInterval: [MIN_INTERVAL, 40000]
+    },
+    lines: {
+        name: 'Every 8 lines',
+        description: 'Clearing lines winds up the next flip.',
+        everyLines: 8
+    },
+    bombs: {
+        name: 'On bomb blasts',
+        description: 'Every bomb that explodes flips the board.',
+        onBomb: true
+    },
+    off: {
+        name: 'Off',
+        description: 'Gravity always pulls down.'
+    }
+};
+
+const DEFAULT_GRAVITY_RULE = 'timed';
+
+// Look up a rule, falling back to the default for unknown names
+function getRule(name) {
+    return GRAVITY_RULES[name] || GRAVITY_RULES[DEFAULT_GRAVITY_RULE];
+}
+
+// Time until the next timed shift at a level, or null when the rule has no clock.
+// random() returns a number in [0, 1) from the game's gravity stream.
+function nextInterval(rule, level, random) {
+    let interval;
+    if (rule.randomInterval) {
+        const [min, max] = rule.randomInterval;
+        interval = min + Math.floor(random() * (max - min + 1));
+    } else if (rule.interval) {
+        interval = rule.interval - (level - 1) * (rule.intervalPerLevel || 0);
+    } else {
+        return null;
+    }
+    return Math.max(MIN_INTERVAL, interval);
+}
+
+const LineBreakerGravityRules = {
+    GRAVITY_RULES: GRAVITY_RULES,
+    DEFAULT_GRAVITY_RULE: DEFAULT_GRAVITY_RULE,
+    EVENT_SHIFT_DELAY: EVENT_SHIFT_DELAY,
+    getRule: getRule,
+    nextInterval: nextInterval
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerGravityRules;
+} else {
+    root.LineBreakerGravityRules = LineBreakerGravityRules;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,156 @@
+// LineBreaker Leaderboard
+// Top results per game mode kept on this device, each with the player's
+// name, when it was set and optionally its replay. Boards are saved to
+// storage (localStorage in the browser) and can be exported to a JSON file
+// and merged into another device's boards, so no server is needed.
+(function (root) {
+
+const LineBreakerModes = typeof module !== 'undefined' && module.exports ?
+    require('./modes.js') : root.LineBreakerModes;
+
+const STORAGE_KEY = 'lineBreakerLeaderboard';
+const EXPORT_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const MAX_NAME_LENGTH = 16;
+
+// An entry holds:
+//   name: who set it
+//   score, lines, level: as the game ended
+//   time: game time in ms; what Sprint ranks by
+//   outcome: how the game ended ('goal', 'topOut' or 'quit')
+//   date: Date.now() when it was set
+//   seed: the game's seed
+//   replay: the encoded replay (replay.js), when the player kept it
+
+// Order of two entries on a mode's board: fastest finish for time modes,
+// highest score otherwise; ties keep the older entry first
+function compareEntries(modeName) {
+    const byTime = LineBreakerModes.getMode(modeName).best === 'time';
+    return (a, b) => {
+        const difference = byTime ? a.time - b.time : b.score - a.score;
+        return difference !== 0 ? difference : a.date - b.date;
+    };
+}
+
+// Only finished runs count for time modes, and only scoring games for the rest
+function qualifies(modeName, entry) {
+    if (LineBreakerModes.getMode(modeName).best === 'time') {
+        return entry.outcome === 'goal';
+    }
+    return entry.score > 0;
+}
+
+// Place an entry would take on its mode's board (0 is first), or -1 when it
+// doesn't make the board
+function rankFor(boards, modeName, entry) {
+    if (!qualifies(modeName, entry)) return -1;
+    const compare = compareEntries(modeName);
+    const rank = (boards[modeName] || []).filter(other => compare(other, entry) <= 0).length;
+    return rank < LEADERBOARD_SIZE ? rank : -1;
+}
+
+// Put an entry on its mode's board; returns its rank, or -1 when it didn't make it
+function addEntry(boards, modeName, entry) {
+    const rank = rankFor(boards, modeName, entry);
+    if (rank < 0) return -1;
+    const board = boards[modeName] || (boards[modeName] = []);
+    board.splice(rank, 0, entry);
+    board.length = Math.min(board.length, LEADERBOARD_SIZE);
+    return rank;
+}
+
+// Tidy a typed name for the board
+function cleanName(name) {
+    return String(name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Player';
+}
+
+// Does a stored or imported value look like an entry?
+function isEntry(entry) {
+    return !!entry && typeof entry.name === 'string' &&
+        ['score', 'lines', 'level', 'time', 'date'].every(key => typeof entry[key] === 'number') &&
+        (entry.replay === undefined || typeof entry.replay === 'string');
+}
+
+// Keep only known modes and well-formed entries, in board order
+function cleanBoards(boards) {
+    const clean = {};
+    for (const modeName in LineBreakerModes.MODES) {
+        const entries = Array.isArray(boards[modeName]) ? boards[modeName].filter(isEntry) : [];
+        if (entries.length > 0) {
+            clean[modeName] = entries.sort(compareEntries(modeName)).slice(0, LEADERBOARD_SIZE);
+        }
+    }
+    return clean;
+}
+
+// Load the boards from storage
+function loadBoards(storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (saved) return cleanBoards(saved);
+    } catch (e) {
+        console.log('Ignoring invalid saved leaderboard');
+    }
+    return {};
+}
+
+// Save the boards to storage
+function saveBoards(storage, boards) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(boards));
+}
+
+// Serialize the boards for another device
+function exportBoards(boards) {
+    return JSON.stringify({ v: EXPORT_VERSION, boards: boards });
+}
+
+// Read exported boards, throwing when the file isn't one
+function importBoards(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data.boards !== 'object' || data.boards === null) {
+        throw new Error('Not a leaderboard file');
+    }
+    if (data.v > EXPORT_VERSION) {
+        throw new Error('Leaderboard was exported by a newer version of the game');
+    }
+    return cleanBoards(data.boards);
+}
+
+// Combine two sets of boards; entries on both (the same game) are kept once
+function mergeBoards(boards, incoming) {
+    const merged = {};
+    for (const modeName in LineBreakerModes.MODES) {
+        const seen = new Set();
+        const entries = (boards[modeName] || []).concat(incoming[modeName] || []).filter((entry) => {
+            const key = [entry.name, entry.score, entry.time, entry.date, entry.seed].join('|');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        if (entries.length > 0) {
+            merged[modeName] = entries.sort(compareEntries(modeName)).slice(0, LEADERBOARD_SIZE);
+        }
+    }
+    return merged;
+}
+
+const LineBreakerLeaderboard = {
+    LEADERBOARD_SIZE: LEADERBOARD_SIZE,
+    MAX_NAME_LENGTH: MAX_NAME_LENGTH,
+    rankFor: rankFor,
+    addEntry: addEntry,
+    cleanName: cleanName,
+    loadBoards: loadBoards,
+    saveBoards: saveBoards,
+    exportBoards: exportBoards,
+    importBoards: importBoards,
+    mergeBoards: mergeBoards
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerLeaderboard;
+} else {
+    root.LineBreakerLeaderboard = LineBreakerLeaderboard;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,135 @@
+// LineBreaker Game Modes
+// A mode decides how the level and speed grow with cleared lines, whether
+// gravity shifts, what happens when the stack reaches the spawn edge and
+// when the game is over. The engine asks the mode instead of hard-wiring
+// the rules, so new modes only need an entry here.
+(function (root) {
+
+const INITIAL_DROP_INTERVAL = 700;
+const MIN_DROP_INTERVAL = 100;
+const LINES_PER_LEVEL = 3;
+const MARATHON_LEVEL_CAP = 30; // Drop speed bottoms out here anyway
+const INITIAL_GARBAGE_INTERVAL = 10000;
+const MIN_GARBAGE_INTERVAL = 2500;
+
+// Level for a number of cleared lines: a new level every 3 lines from the
+// mode's first level, up to a cap
+function levelFor(mode, lines) {
+    const level = Math.floor(lines / LINES_PER_LEVEL) + (mode.startLevel || 1);
+    return mode.levelCap ? Math.min(level, mode.levelCap) : level;
+}
+
+// Time between gravity drops at a level
+function dropIntervalFor(level) {
+    return Math.max(MIN_DROP_INTERVAL, INITIAL_DROP_INTERVAL - level * 20);
+}
+
+// Time between rising garbage lines at a level, for modes with garbageRise
+function garbageIntervalFor(level) {
+    return Math.max(MIN_GARBAGE_INTERVAL, INITIAL_GARBAGE_INTERVAL - (level - 1) * 500);
+}
+
+// Each mode:
+//   name, description: shown on the mode select screen
+//   levelCap: highest level (none when missing)
+//   gravityShifts: false turns board flips off whatever the gravity rule
+//   topOut: 'gameOver' ends the game, 'clear' empties the board and carries on
+//   lineGoal / timeLimit: the game is won on reaching the goal or the limit
+//   best: 'score' keeps the highest score, 'time' the fastest finish
+//   generator: piece generator (generators.js) the mode deals with unless
+//     the player picks another one for it
+//   startLevel: level the game starts on (1 when missing)
+//   unlock: achievement (achievements.js) that has to be earned to play it
+//   garbageRise: a garbage line rises from the floor on a clock that speeds up
+//     every level (garbageIntervalFor)
+const MODES = {
+    marathon: {
+        name: 'Marathon',
+        description: 'The classic endless game. Levels cap at 30.',
+        levelCap: MARATHON_LEVEL_CAP,
+        gravityShifts: true,
+        topOut: 'gameOver',
+        best: 'score',
+        generator: 'uniform'
+    },
+    sprint: {
+        name: 'Sprint 40',
+        description: 'Clear 40 lines as fast as you can.',
+        gravityShifts: true,
+        topOut: 'gameOver',
+        lineGoal: 40,
+        best: 'time',
+        generator: 'bag12' // Every run gets a fair share of each shape
+    },
+    ultra: {
+        name: 'Ultra',
+        description: 'Score as much as you can in 2 minutes.',
+        gravityShifts: true,
+        topOut: 'gameOver',
+        timeLimit: 120000,
+        best: 'score',
+        generator: 'uniform'
+    },
+    zen: {
+        name: 'Zen',
+        description: 'No game over and no gravity shifts. Just stack.',
+        gravityShifts: false,
+        topOut: 'clear',
+        best: 'score',
+        generator: 'uniform'
+    },
+    master: {
+        name: 'Master',
+        description: 'Marathon that starts at level 20.',
+        startLevel: 20,
+        levelCap: MARATHON_LEVEL_CAP,
+        gravityShifts: true,
+        topOut: 'gameOver',
+        best: 'score',
+        generator: 'weighted', // Already deep into the awkward shapes
+        unlock: 'levelTwenty'
+    },
+    survival: {
+        name: 'Survival',
+        description: 'Garbage rises from the floor, faster every level. Hold out!',
+        levelCap: MARATHON_LEVEL_CAP,
+        gravityShifts: true,
+        topOut: 'gameOver',
+        garbageRise: true,
+        best: 'score',
+        generator: 'uniform'
+    }
+};
+
+const DEFAULT_MODE = 'marathon';
+
+// Look up a mode, falling back to the default for unknown names
+function getMode(name) {
+    return MODES[name] || MODES[DEFAULT_MODE];
+}
+
+// Has the game reached the mode's goal?
+function goalReached(mode, state) {
+    if (mode.lineGoal && state.lines >= mode.lineGoal) return true;
+    if (mode.timeLimit && state.time >= mode.timeLimit) return true;
+    return false;
+}
+
+const LineBreakerModes = {
+    MODES: MODES,
+    DEFAULT_MODE: DEFAULT_MODE,
+    INITIAL_DROP_INTERVAL: INITIAL_DROP_INTERVAL,
+    getMode: getMode,
+    levelFor: levelFor,
+    dropIntervalFor: dropIntervalFor,
+    garbageIntervalFor: garbageIntervalFor,
+    goalReached: goalReached
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerModes;
+} else {
+    root.LineBreakerModes = LineBreakerModes;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,476 @@
+// LineBreaker Netplay Server
+// Reference server for online matches (netplay.js): rooms joined by a short
+// code, with up to four players and any number of spectators. It relays what
+// each board does to everyone else in the room, sends attacks on to their
+// target and decides who won; it never plays the games itself. It also serves
+// the game's files, so one command is enough to play on a local network:
+//
+//     node netplay-server.js [port]
+//
+// then open http://localhost:8080 (or this machine's address) in each browser.
+// Only Node's standard library is used; the WebSocket side is the small part
+// of RFC 6455 that browsers need (text messages, ping and close).
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const LineBreakerRandom = require('./random.js');
+const LineBreakerLeaderboard = require('./leaderboard.js');
+const LineBreakerNetplay = require('./netplay.js');
+
+const DEFAULT_PORT = 8080;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Snapshots are a few kB
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O to misread
+const CODE_LENGTH = 4;
+const MAX_LOGGED_ACTIONS = 10000; // Per board between snapshots, far more than it takes
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Static files
+// Serve the game's own files from this directory, and nothing else. Paths
+// that don't decode (or hold a NUL, which fs throws on) are refused, so no
+// request can throw out of here and take the rooms down with the server.
+function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (e) {
+        pathname = null;
+    }
+    if (pathname === null || pathname.includes('\0')) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const file = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
+    const type = CONTENT_TYPES[path.extname(file)];
+    if (!type || path.dirname(file) !== __dirname) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type });
+        response.end(data);
+    });
+}
+
+// WebSocket
+// Accept an upgrade request and wrap the socket: onMessage gets each text
+// message, onClose is called once when the connection ends
+function acceptWebSocket(request, socket, onMessage, onClose) {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    function writeFrame(opcode, payload) {
+        if (closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        socket.write(Buffer.concat([header, payload]));
+    }
+
+    function close() {
+        if (closed) return;
+        writeFrame(0x8, Buffer.alloc(0));
+        closed = true;
+        socket.end();
+        onClose();
+    }
+
+    // Take every complete frame off the front of the buffer
+    function readFrames() {
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // Browsers always mask what they send
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                close();
+                return;
+            }
+            if (buffer.length < offset + 4 + length) return;
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x8) {
+                close();
+                return;
+            } else if (opcode === 0x9) {
+                writeFrame(0xA, payload);
+            } else if (opcode === 0x1 || opcode === 0x0) {
+                fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    onMessage(text);
+                }
+            }
+        }
+    }
+
+    socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        if (buffer.length > MAX_MESSAGE_SIZE + 14) {
+            close();
+            return;
+        }
+        readFrames();
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        if (closed) return;
+        closed = true;
+        onClose();
+    });
+
+    return {
+        send: text => writeFrame(0x1, Buffer.from(text, 'utf8')),
+        close: close
+    };
+}
+
+// Rooms
+// Each room:
+//   code: what players type to join it
+//   options: the match options its host picked (netplay.js cleanOptions)
+//   host: seat of the player who can start matches
+//   players: [{ seat, name, client, out }], in seat order; out is how their
+//     game ended, null while playing
+//   spectators: clients watching
+//   playing: a match is on
+//   seed: the current (or last) match's seed
+//   nextSeat: seat the next player gets (seats are never reused in a room)
+//   logs: seat -> { snapshot, time, actions } of the current match, so
+//     spectators can join late: the last snapshot and the actions since.
+//     actions is null past MAX_LOGGED_ACTIONS until the next snapshot, so a
+//     board that stops sending snapshots can't fill the server's memory.
+const rooms = new Map();
+
+function createCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function send(client, message) {
+    client.socket.send(JSON.stringify(message));
+}
+
+// Send to everyone in a room, except the client a message came from (and
+// players who left during the match)
+function broadcast(room, message, except) {
+    const text = JSON.stringify(message);
+    for (const player of room.players) {
+        if (player.client !== except && player.client.room === room) player.client.socket.send(text);
+    }
+    for (const spectator of room.spectators) {
+        if (spectator !== except) spectator.socket.send(text);
+    }
+}
+
+function playerList(room) {
+    return room.players.map(player => ({ seat: player.seat, name: player.name, out: player.out }));
+}
+
+function sendRoom(room) {
+    broadcast(room, {
+        type: 'room',
+        code: room.code,
+        host: room.host,
+        options: room.options,
+        players: playerList(room),
+        spectators: room.spectators.size,
+        playing: room.playing
+    });
+}
+
+function startMessage(room) {
+    return {
+        type: 'start',
+        seed: room.seed,
+        options: room.options,
+        players: room.players.map(player => ({ seat: player.seat, name: player.name }))
+    };
+}
+
+// Bring a late spectator up to date with the match
+function catchUp(room, client) {
+    send(client, startMessage(room));
+    for (const player of room.players) {
+        const log = room.logs[player.seat];
+        if (log.snapshot) send(client, { type: 'snapshot', seat: player.seat, state: log.snapshot });
+        if (log.actions) send(client, { type: 'actions', seat: player.seat, time: log.time, actions: log.actions });
+        if (player.out) send(client, { type: 'playerOut', seat: player.seat, outcome: player.out });
+    }
+}
+
+function startMatch(room) {
+    room.playing = true;
+    room.seed = LineBreakerRandom.randomSeed();
+    room.logs = {};
+    for (const player of room.players) {
+        player.out = null;
+        room.logs[player.seat] = { snapshot: null, time: 0, actions: [] };
+    }
+    broadcast(room, startMessage(room));
+    sendRoom(room);
+}
+
+// A board's game ended: reaching the goal wins, and so does being the last
+// one left standing. The room goes back to its lobby afterwards.
+function playerOut(room, player, outcome) {
+    if (!room.playing || player.out) return;
+    player.out = outcome;
+    broadcast(room, { type: 'playerOut', seat: player.seat, outcome: outcome });
+
+    const standing = room.players.filter(other => !other.out);
+    let over = false;
+    let winner = null;
+    if (outcome === 'goal') {
+        over = true;
+        winner = player.seat;
+    } else if (standing.length <= 1) {
+        over = true;
+        winner = standing.length === 1 ? standing[0].seat : null;
+    }
+    if (over) {
+        room.playing = false;
+        room.logs = {};
+        broadcast(room, { type: 'matchOver', winner: winner });
+        // Players who left during the match only go once it is decided
+        room.players = room.players.filter(other => other.client.room === room);
+        sendRoom(room);
+    }
+}
+
+// The next board an attack goes to: the next one still playing after the attacker's
+function attackTarget(room, attacker) {
+    const index = room.players.indexOf(attacker);
+    for (let step = 1; step < room.players.length; step++) {
+        const player = room.players[(index + step) % room.players.length];
+        if (!player.out) return player;
+    }
+    return null;
+}
+
+function leaveRoom(client) {
+    const room = client.room;
+    if (!room) return;
+    client.room = null;
+    room.spectators.delete(client);
+    const player = room.players.find(other => other.client === client);
+    if (player) {
+        if (room.playing) {
+            playerOut(room, player, 'left');
+        }
+        if (!room.playing) {
+            room.players = room.players.filter(other => other !== player);
+        }
+        const staying = room.players.filter(other => other.client.room === room);
+        if (room.host === player.seat && staying.length > 0) {
+            room.host = staying[0].seat;
+        }
+    }
+    if (!room.players.some(other => other.client.room === room) && room.spectators.size === 0) {
+        rooms.delete(room.code);
+    } else {
+        sendRoom(room);
+    }
+}
+
+function joinAsPlayer(room, client, name) {
+    const seat = room.nextSeat++;
+    room.players.push({ seat: seat, name: LineBreakerLeaderboard.cleanName(name), client: client, out: null });
+    client.room = room;
+    send(client, { type: 'joined', code: room.code, seat: seat });
+    sendRoom(room);
+}
+
+// Messages
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+    const error = reason => send(client, { type: 'error', message: reason });
+
+    if (['create', 'join', 'watch'].includes(message.type)) {
+        if (message.v !== LineBreakerNetplay.PROTOCOL_VERSION) {
+            error('This server runs a different version of the game. Reload the page.');
+            return;
+        }
+        leaveRoom(client);
+        const room = message.type === 'create' ? null : rooms.get(String(message.code || '').trim().toUpperCase());
+        if (message.type === 'create') {
+            const created = {
+                code: createCode(),
+                options: LineBreakerNetplay.cleanOptions(message.options),
+                host: 0,
+                players: [],
+                spectators: new Set(),
+                playing: false,
+                seed: null,
+                nextSeat: 0,
+                logs: {}
+            };
+            rooms.set(created.code, created);
+            joinAsPlayer(created, client, message.name);
+        } else if (!room) {
+            error('No room with that code.');
+        } else if (message.type === 'watch') {
+            room.spectators.add(client);
+            client.room = room;
+            send(client, { type: 'joined', code: room.code, seat: null });
+            sendRoom(room);
+            if (room.playing) catchUp(room, client);
+        } else if (room.playing) {
+            error('That room is already playing. Watch instead, or wait for the match to end.');
+        } else if (room.players.length >= LineBreakerNetplay.MAX_PLAYERS) {
+            error('That room is full.');
+        } else {
+            joinAsPlayer(room, client, message.name);
+        }
+        return;
+    }
+
+    const room = client.room;
+    if (!room) return;
+    if (message.type === 'leave') {
+        leaveRoom(client);
+        return;
+    }
+    const player = room.players.find(other => other.client === client);
+    if (!player) return; // Spectators only listen
+
+    switch (message.type) {
+        case 'start':
+            if (player.seat !== room.host || room.playing) return;
+            if (room.players.length < 2) {
+                error('Wait for at least one more player.');
+                return;
+            }
+            startMatch(room);
+            break;
+        case 'actions': {
+            if (message.seed !== room.seed || !Array.isArray(message.actions) ||
+                typeof message.time !== 'number') return;
+            // A board's last actions can arrive after the match is over; they
+            // still go to the others, though nobody can join late any more
+            if (room.playing) {
+                const log = room.logs[player.seat];
+                if (log.actions && log.actions.length + message.actions.length <= MAX_LOGGED_ACTIONS) {
+                    log.actions = log.actions.concat(message.actions);
+                    log.time = message.time;
+                } else {
+                    log.actions = null;
+                }
+            }
+            broadcast(room, { type: 'actions', seat: player.seat, time: message.time, actions: message.actions }, client);
+            break;
+        }
+        case 'snapshot': {
+            if (!room.playing || !message.state || typeof message.state.time !== 'number') return;
+            const log = room.logs[player.seat];
+            log.snapshot = message.state;
+            log.time = message.state.time;
+            log.actions = [];
+            broadcast(room, { type: 'snapshot', seat: player.seat, state: message.state }, client);
+            break;
+        }
+        case 'attack': {
+            const lines = Math.min(Math.floor(message.lines), LineBreakerNetplay.MAX_ATTACK);
+            const target = room.playing && !player.out && lines > 0 ? attackTarget(room, player) : null;
+            if (target) send(target.client, { type: 'attack', from: player.seat, lines: lines });
+            break;
+        }
+        case 'shift': {
+            const target = room.playing && !player.out ? attackTarget(room, player) : null;
+            if (target) send(target.client, { type: 'shift', from: player.seat });
+            break;
+        }
+        case 'gameOver':
+            playerOut(room, player, ['goal', 'topOut', 'quit'].includes(message.outcome) ? message.outcome : 'quit');
+            break;
+    }
+}
+
+// Server
+function createServer() {
+    const server = http.createServer(serveFile);
+    server.on('upgrade', (request, socket) => {
+        const client = { socket: null, room: null };
+        client.socket = acceptWebSocket(request, socket,
+            text => handleMessage(client, text),
+            () => leaveRoom(client));
+    });
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || Number(process.env.PORT) || DEFAULT_PORT;
+    createServer().listen(port, () => {
+        console.log(`LineBreaker netplay server on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer: createServer };
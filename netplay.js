@@ -0,0 +1,369 @@
+// LineBreaker Netplay
+// Online matches through a relay server (netplay-server.js) over WebSocket.
+// The server only relays: every board runs on its player's own device and is
+// the truth about itself. Each client sends the actions its engine takes
+// (the same ones replays record, plus the garbage it receives) and everyone
+// else replays them on a mirror of that board, as far as the messages have
+// arrived. Attacks are sent as messages and only turn into garbage on the
+// receiving board, so a slow connection delays what others see but never
+// makes a board disagree with its player. Regular snapshots of each board
+// let spectators join late and mirrors catch up.
+(function (root) {
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const LineBreakerRandom = isNode ? require('./random.js') : root.LineBreakerRandom;
+const LineBreakerEngine = isNode ? require('./engine.js') : root.LineBreakerEngine;
+const LineBreakerGarbage = isNode ? require('./garbage.js') : root.LineBreakerGarbage;
+
+const PROTOCOL_VERSION = 2;
+const MAX_PLAYERS = 4;
+const SEND_INTERVAL = 50; // Game ms between batches of actions
+const SNAPSHOT_INTERVAL = 5000; // Game ms between snapshots of the player's board
+const MAX_ATTACK = LineBreakerEngine.ROWS; // Lines in one attack; more can't do more than top a board out
+const BOMB_TYPES = [LineBreakerEngine.BLOCK_TYPES.BOMB, LineBreakerEngine.BLOCK_TYPES.COLOR_BOMB];
+
+// Kinds of match a room can play:
+//   name, description: shown in the online lobby
+//   mode: game mode (modes.js) every board plays
+//   attacks: clears send garbage and bombs shift the other boards' gravity
+// Either way the first board to reach its mode's goal wins, and so does the
+// last one left standing.
+const MATCH_TYPES = {
+    battle: {
+        name: 'Battle',
+        description: 'Clears send garbage to the others. Last board standing wins.',
+        mode: 'marathon',
+        attacks: true
+    },
+    race: {
+        name: 'Race',
+        description: 'Same pieces for everyone. First to clear 40 lines wins.',
+        mode: 'sprint',
+        attacks: false
+    }
+};
+
+// Keep only the room options the protocol knows
+function cleanOptions(options) {
+    options = options || {};
+    return {
+        type: MATCH_TYPES[options.type] ? options.type : 'battle',
+        generator: typeof options.generator === 'string' ? options.generator : undefined,
+        gravityRule: typeof options.gravityRule === 'string' ? options.gravityRule : undefined,
+        sidewaysGravity: !!options.sidewaysGravity,
+        cascade: !!options.cascade
+    };
+}
+
+// Engine start options for a room's match. Every board uses the engine's
+// own lock delay so mirrors behave exactly like the board they copy.
+function startOptions(options, seed) {
+    return {
+        seed: seed,
+        generator: options.generator,
+        mode: MATCH_TYPES[options.type].mode,
+        gravityRule: options.gravityRule,
+        sidewaysGravity: options.sidewaysGravity,
+        cascade: options.cascade
+    };
+}
+
+// Messages, as JSON objects with a type:
+//   client -> server:
+//     create { v, name, options }, join { v, code, name }, watch { v, code },
+//     start {}, leave {},
+//     actions { seed, time, actions: [{ time, action }] }, snapshot { state },
+//     attack { lines }, shift {}, gameOver { outcome }
+//   server -> client:
+//     joined { code, seat } (seat is null for spectators),
+//     room { code, host, options, players: [{ seat, name, out }], spectators, playing },
+//     start { seed, options, players }, actions { seat, time, actions },
+//     snapshot { seat, state }, attack { from, lines }, shift { from },
+//     playerOut { seat, outcome }, matchOver { winner }, error { message }
+// Actions carry their match's seed: the last ones can arrive after the match
+// is over, and must not end up in the next.
+
+// Talk to a netplay server over a socket: a WebSocket, or anything with
+// send() and 'message' and 'close' events. onChange is called with the
+// session whenever the room, the match or the connection changes.
+function createSession(socket, onChange) {
+    const session = {
+        connected: true,
+        error: null, // Last error from the server
+        code: null, // Room code, once in a room
+        seat: null, // Our seat, null while watching
+        room: null, // Latest room message
+        match: null, // Match being played or watched (createMatch below)
+
+        create(name, options) {
+            send({ type: 'create', v: PROTOCOL_VERSION, name: name, options: cleanOptions(options) });
+        },
+        join(code, name) {
+            send({ type: 'join', v: PROTOCOL_VERSION, code: code, name: name });
+        },
+        watch(code) {
+            send({ type: 'watch', v: PROTOCOL_VERSION, code: code });
+        },
+        // Start the room's match (only the host can)
+        start() {
+            send({ type: 'start' });
+        },
+        leave() {
+            send({ type: 'leave' });
+            session.code = null;
+            session.seat = null;
+            session.room = null;
+            session.match = null;
+            onChange(session);
+        },
+        // Advance our own board by a frame's delta
+        update(delta) {
+            if (session.match) session.match.update(delta);
+        },
+        get isHost() {
+            return !!session.room && session.seat !== null && session.room.host === session.seat;
+        }
+    };
+
+    function send(message) {
+        if (session.connected) socket.send(JSON.stringify(message));
+    }
+
+    // Errors only stand until the next message
+    function receive(message) {
+        const match = session.match;
+        session.error = null;
+        switch (message.type) {
+            case 'joined':
+                session.code = message.code;
+                session.seat = message.seat;
+                break;
+            case 'room':
+                session.room = message;
+                break;
+            case 'start':
+                session.match = createMatch(message, session.seat, send);
+                break;
+            case 'error':
+                session.error = message.message;
+                break;
+            default:
+                if (match) match.receive(message);
+        }
+        onChange(session);
+    }
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            console.log('Ignoring invalid netplay message');
+            return;
+        }
+        if (message && typeof message.type === 'string') receive(message);
+    });
+    socket.addEventListener('close', () => {
+        session.connected = false;
+        if (session.match) session.match.disconnect();
+        onChange(session);
+    });
+
+    return session;
+}
+
+// A match as one client sees it: our own board (unless watching) and a
+// mirror of everyone else's. start is the server's start message.
+function createMatch(start, seat, send) {
+    const options = cleanOptions(start.options);
+    const attacks = MATCH_TYPES[options.type].attacks;
+    const holeRandom = LineBreakerRandom.createRandom(start.seed + ':garbage:' + seat);
+    let over = false;
+    let winner = null;
+
+    // Each board:
+    //   seat, name: who plays it
+    //   engine: the board itself, or its mirror
+    //   local: it is our own board
+    //   out: how its game ended ('goal', 'topOut', 'quit' or 'left'), null while playing
+    //   incoming: garbage attacks waiting to rise, in lines, oldest first (our board)
+    //   sent: lines of garbage sent so far (our board)
+    const boards = start.players.map(player => ({
+        seat: player.seat,
+        name: player.name,
+        engine: LineBreakerEngine.createEngine(),
+        local: player.seat === seat,
+        out: null,
+        incoming: [],
+        sent: 0
+    }));
+    const boardAt = at => boards.find(board => board.seat === at);
+    const own = boardAt(seat);
+
+    let outgoing = []; // Our actions not sent yet
+    let lastSent = 0;
+    let lastSnapshot = 0;
+    let locked = false;
+    let cleared = false;
+    let shiftArmed = false;
+
+    if (own) {
+        const target = own.engine;
+        target.on('action', (event) => {
+            outgoing.push({ time: event.time, action: event.action });
+        });
+        target.on('lock', () => {
+            locked = true;
+        });
+        target.on('linesCleared', () => {
+            cleared = true;
+        });
+        target.on('scored', (event) => {
+            const lines = attacks ? LineBreakerGarbage.attackFor(event) : 0;
+            if (lines > 0) attack(lines);
+        });
+        target.on('special', (event) => {
+            if (attacks && BOMB_TYPES.includes(event.block)) send({ type: 'shift' });
+        });
+        target.on('gameOver', (event) => {
+            flush();
+            own.out = event.outcome;
+            send({ type: 'gameOver', outcome: event.outcome });
+        });
+    }
+    for (const board of boards) {
+        board.engine.start(startOptions(options, start.seed));
+    }
+
+    // Cancel our own waiting garbage first, then send the rest
+    function attack(lines) {
+        while (lines > 0 && own.incoming.length > 0) {
+            const cancelled = Math.min(lines, own.incoming[0]);
+            own.incoming[0] -= cancelled;
+            lines -= cancelled;
+            if (own.incoming[0] === 0) own.incoming.shift();
+        }
+        if (lines > 0) {
+            send({ type: 'attack', lines: lines });
+            own.sent += lines;
+        }
+    }
+
+    // Send what our board did since the last batch, up to its current time
+    function flush() {
+        const time = own.engine.state.time;
+        send({ type: 'actions', seed: start.seed, time: time, actions: outgoing });
+        outgoing = [];
+        lastSent = time;
+    }
+
+    // Replay another board's actions on its mirror, then bring its clock to
+    // the time they were sent at (nothing else happened on it until then)
+    function mirror(board, time, actions) {
+        const target = board.engine;
+        for (const entry of actions) {
+            const action = entry.action;
+            if (!action || typeof action.type !== 'string' || action.type === 'start') continue;
+            target.dispatch({ type: 'tick', delta: Math.max(0, entry.time - target.state.time), timers: false });
+            target.dispatch(action);
+        }
+        if (time > target.state.time) {
+            target.dispatch({ type: 'tick', delta: time - target.state.time, timers: false });
+        }
+    }
+
+    return {
+        boards: boards,
+        seed: start.seed,
+        options: options,
+        own: own || null,
+        get over() { return over; },
+        get winner() { return winner; },
+
+        // Advance our own board, then raise garbage waiting for it, and
+        // send our actions and snapshots when they are due
+        update(delta) {
+            if (over || !own || own.out) return;
+            const target = own.engine;
+            target.tick(delta);
+            if (locked && !cleared) {
+                const width = LineBreakerEngine.isSideways(target.state.currentGravity) ?
+                    LineBreakerEngine.ROWS : LineBreakerEngine.COLS;
+                while (own.incoming.length > 0 && !target.state.isGameOver) {
+                    target.garbage(own.incoming.shift(), Math.floor(holeRandom.next() * width));
+                }
+            }
+            if (shiftArmed && !target.state.isGameOver) target.armShift();
+            locked = false;
+            cleared = false;
+            shiftArmed = false;
+
+            if (target.state.isGameOver) return;
+            const time = target.state.time;
+            if (time - lastSent >= SEND_INTERVAL) flush();
+            if (time - lastSnapshot >= SNAPSHOT_INTERVAL) {
+                // Everything the snapshot holds has to reach the mirrors
+                // before it, or they would apply it again on top
+                flush();
+                lastSnapshot = time;
+                send({ type: 'snapshot', state: target.state });
+            }
+        },
+
+        // A match message from the server
+        receive(message) {
+            const board = boardAt(message.seat);
+            switch (message.type) {
+                case 'actions':
+                    if (board && !board.local && Array.isArray(message.actions)) {
+                        mirror(board, message.time, message.actions);
+                    }
+                    break;
+                case 'snapshot':
+                    // A snapshot is never behind the actions sent before it
+                    if (board && !board.local && message.state &&
+                        message.state.time >= board.engine.state.time) {
+                        board.engine.load(LineBreakerEngine.cloneState(message.state));
+                    }
+                    break;
+                case 'attack':
+                    if (own && !own.out && message.lines > 0) own.incoming.push(message.lines);
+                    break;
+                case 'shift':
+                    if (own && !own.out) shiftArmed = true;
+                    break;
+                case 'playerOut':
+                    if (board) board.out = message.outcome;
+                    break;
+                case 'matchOver':
+                    // Our board stops here, so the others need what it did last
+                    if (own && !own.out && !over) flush();
+                    over = true;
+                    winner = message.winner;
+                    break;
+            }
+        },
+
+        // The connection dropped: nothing more arrives, and our board stops
+        disconnect() {
+            over = true;
+        }
+    };
+}
+
+const LineBreakerNetplay = {
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+    MAX_PLAYERS: MAX_PLAYERS,
+    MAX_ATTACK: MAX_ATTACK,
+    MATCH_TYPES: MATCH_TYPES,
+    cleanOptions: cleanOptions,
+    createSession: createSession
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerNetplay;
+} else {
+    root.LineBreakerNetplay = LineBreakerNetplay;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,80 @@
+// LineBreaker Random
+// Small seedable PRNG (mulberry32) so games can be reproduced exactly.
+// The generator state is a single 32-bit integer, which keeps it easy to
+// store inside the engine state, clone and serialize.
+(function (root) {
+
+// Hash any seed (string or number) into a 32-bit integer state
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Advance a mulberry32 state; returns the float in [0, 1) and the next state
+function nextRandom(rngState) {
+    const nextState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return {
+        value: ((t ^ (t >>> 14)) >>> 0) / 4294967296,
+        state: nextState
+    };
+}
+
+// Create a stateful generator for code that doesn't keep its own state object
+function createRandom(seed) {
+    let rngState = hashSeed(seed);
+    const random = {
+        // Float in [0, 1)
+        next() {
+            const result = nextRandom(rngState);
+            rngState = result.state;
+            return result.value;
+        },
+        // Integer in [0, max)
+        int(max) {
+            return Math.floor(random.next() * max);
+        },
+        // Random element of an array
+        pick(items) {
+            return items[random.int(items.length)];
+        },
+        get state() { return rngState; },
+        set state(value) { rngState = value >>> 0; }
+    };
+    return random;
+}
+
+// Fresh seed for a new game: short and easy to share
+function randomSeed() {
+    return Math.floor(Math.random() * 0x7FFFFFFF).toString(36);
+}
+
+// Seed shared by everyone playing on the same (UTC) day
+function dailySeed(date) {
+    return 'daily-' + (date || new Date()).toISOString().slice(0, 10);
+}
+
+const LineBreakerRandom = {
+    hashSeed: hashSeed,
+    nextRandom: nextRandom,
+    createRandom: createRandom,
+    randomSeed: randomSeed,
+    dailySeed: dailySeed
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerRandom;
+} else {
+    root.LineBreakerRandom = LineBreakerRandom;
+}
+
+})(typeof self !== 'undefined' ? self : this);
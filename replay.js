@@ -0,0 +1,284 @@
+// LineBreaker Replay
+// Records every action an engine accepts (player input and timer-driven drops
+// and gravity shifts) with its game time, exports it as a compact file and
+// plays it back on any engine. Because pieces come from the seed, the seed
+// plus the action list reproduces the exact grid at every moment.
+(function (root) {
+
+const LineBreakerEngine = typeof module !== 'undefined' && module.exports ?
+    require('./engine.js') : root.LineBreakerEngine;
+
+// 2: rotation with wall kicks, 3: lock delay, 4: game modes, 5: gravity rules, 6: sideways gravity,
+// 7: special blocks, 8: combo and T-spin scoring, 9: cascades, 10: garbage and armed shifts
+const REPLAY_VERSION = 10;
+// Version 7 deals special blocks with their own odds, so older files go out of sync
+const OLDEST_REPLAY_VERSION = 7;
+
+// One upper-case letter per action; times are stored as base-36 deltas in front
+const ACTION_CODES = {
+    L: { type: 'move', dir: -1 },
+    R: { type: 'move', dir: 1 },
+    O: { type: 'rotate', dir: 1 },
+    Q: { type: 'rotate', dir: -1 },
+    S: { type: 'drop', soft: true }, // Before D so soft drops don't match plain drops
+    D: { type: 'drop' },
+    H: { type: 'hardDrop' },
+    K: { type: 'lock' },
+    C: { type: 'hold' },
+    G: { type: 'shiftGravity' },
+    P: { type: 'togglePause' },
+    E: { type: 'end' },
+    W: { type: 'garbage' }, // Garbage another board sent (versus.js, netplay.js)
+    A: { type: 'armShift' }
+};
+
+// Numbers some actions carry, written in base 36 in brackets after the
+// letter, in this order: garbage is W(lines,hole)
+const ACTION_PARAMS = {
+    garbage: ['lines', 'hole']
+};
+
+// Find the code for an action: its letter, followed by its numbers if it has any
+function encodeAction(action) {
+    for (const code in ACTION_CODES) {
+        const known = ACTION_CODES[code];
+        if (!Object.keys(known).every(key => known[key] === action[key])) continue;
+        const params = ACTION_PARAMS[known.type];
+        if (!params) return code;
+        const values = params.map(key => action[key]);
+        if (!values.every(value => Number.isInteger(value) && value >= 0)) return null;
+        return `${code}(${values.map(value => value.toString(36)).join(',')})`;
+    }
+    return null;
+}
+
+// Record the games played on an engine
+function createRecorder(engine) {
+    let replay = null;
+
+    engine.on('start', (event) => {
+        replay = {
+            seed: event.seed,
+            generator: event.generator,
+            lockDelay: event.lockDelay,
+            mode: event.mode,
+            gravityRule: event.gravityRule,
+            sidewaysGravity: event.sidewaysGravity,
+            cascade: event.cascade,
+            actions: [],
+            finished: false
+        };
+    });
+
+    // A loaded state isn't part of the recording; resume() can pick it back up
+    engine.on('load', () => {
+        replay = null;
+    });
+
+    engine.on('action', (event) => {
+        if (!replay || !encodeAction(event.action)) return;
+        replay.actions.push({ time: Math.round(event.time), action: event.action });
+    });
+
+    engine.on('gameOver', (event, state) => {
+        if (!replay) return;
+        replay.finished = true;
+        replay.duration = Math.round(state.time);
+        replay.score = state.score;
+        replay.lines = state.lines;
+        replay.level = state.level;
+    });
+
+    return {
+        // Copy of the current (or last) game's recording
+        getReplay() {
+            if (!replay) return null;
+            const state = engine.state;
+            return {
+                version: REPLAY_VERSION,
+                seed: replay.seed,
+                generator: replay.generator,
+                lockDelay: replay.lockDelay,
+                mode: replay.mode,
+                gravityRule: replay.gravityRule,
+                sidewaysGravity: replay.sidewaysGravity,
+                cascade: replay.cascade,
+                duration: replay.finished ? replay.duration : Math.round(state.time),
+                score: replay.finished ? replay.score : state.score,
+                lines: replay.finished ? replay.lines : state.lines,
+                level: replay.finished ? replay.level : state.level,
+                actions: replay.actions.slice()
+            };
+        },
+
+        // Carry on recording a saved game (savegame.js) from its recording so far
+        resume(saved) {
+            replay = {
+                seed: saved.seed,
+                generator: saved.generator,
+                lockDelay: saved.lockDelay,
+                mode: saved.mode,
+                gravityRule: saved.gravityRule,
+                sidewaysGravity: saved.sidewaysGravity,
+                cascade: saved.cascade,
+                actions: saved.actions.slice(),
+                finished: false
+            };
+        }
+    };
+}
+
+// Serialize a replay to a compact JSON string
+function encodeReplay(replay) {
+    let input = '';
+    let lastTime = 0;
+    for (const entry of replay.actions) {
+        input += (entry.time - lastTime).toString(36) + encodeAction(entry.action);
+        lastTime = entry.time;
+    }
+    return JSON.stringify({
+        v: replay.version || REPLAY_VERSION,
+        seed: replay.seed,
+        generator: replay.generator,
+        lockDelay: replay.lockDelay,
+        mode: replay.mode,
+        gravityRule: replay.gravityRule,
+        sidewaysGravity: replay.sidewaysGravity,
+        cascade: replay.cascade,
+        duration: replay.duration,
+        score: replay.score,
+        lines: replay.lines,
+        level: replay.level,
+        input: input
+    });
+}
+
+// Parse a replay file; throws on anything that isn't a LineBreaker replay
+function decodeReplay(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!data || typeof data.seed !== 'string' || typeof data.input !== 'string') {
+        throw new Error('Not a LineBreaker replay');
+    }
+    if (data.v > REPLAY_VERSION) {
+        throw new Error('Replay was made by a newer version of the game');
+    }
+    if (!data.v || data.v < OLDEST_REPLAY_VERSION) {
+        throw new Error('Replay was made by an older version of the game');
+    }
+
+    const actions = [];
+    let time = 0;
+    const pattern = /([0-9a-z]*)([A-Z])(?:\(([0-9a-z,]*)\))?/g;
+    let match;
+    while ((match = pattern.exec(data.input)) !== null) {
+        if (!ACTION_CODES[match[2]]) {
+            throw new Error(`Unknown replay action "${match[2]}"`);
+        }
+        time += match[1] ? parseInt(match[1], 36) : 0;
+        const action = Object.assign({}, ACTION_CODES[match[2]]);
+        const params = ACTION_PARAMS[action.type] || [];
+        const values = match[3] ? match[3].split(',') : [];
+        if (values.length !== params.length || values.some(value => value === '')) {
+            throw new Error(`Replay action "${match[2]}" has the wrong numbers`);
+        }
+        params.forEach((key, i) => {
+            action[key] = parseInt(values[i], 36);
+        });
+        actions.push({ time: time, action: action });
+    }
+
+    const lastTime = actions.length > 0 ? actions[actions.length - 1].time : 0;
+    return {
+        version: data.v,
+        seed: data.seed,
+        generator: data.generator,
+        lockDelay: data.lockDelay,
+        mode: data.mode,
+        gravityRule: data.gravityRule,
+        sidewaysGravity: !!data.sidewaysGravity,
+        cascade: !!data.cascade,
+        duration: Math.max(data.duration || 0, lastTime),
+        score: data.score || 0,
+        lines: data.lines || 0,
+        level: data.level || 1,
+        actions: actions
+    };
+}
+
+// Apply recorded actions to an engine until the given game time
+function applyUntil(engine, actions, index, time) {
+    while (index < actions.length && actions[index].time <= time) {
+        const entry = actions[index];
+        engine.dispatch({ type: 'tick', delta: Math.max(0, entry.time - engine.state.time), timers: false });
+        engine.dispatch(entry.action);
+        index++;
+    }
+    if (time > engine.state.time) {
+        engine.dispatch({ type: 'tick', delta: time - engine.state.time, timers: false });
+    }
+    return index;
+}
+
+// Play a replay on an engine (the renderer's subscriptions see every event)
+function createPlayer(replay, engine) {
+    let index = 0;
+    let time = 0;
+    let speed = 1;
+    let playing = true;
+
+    const startOptions = {
+        seed: replay.seed,
+        generator: replay.generator,
+        lockDelay: replay.lockDelay,
+        mode: replay.mode,
+        gravityRule: replay.gravityRule,
+        sidewaysGravity: replay.sidewaysGravity,
+        cascade: replay.cascade
+    };
+    engine.start(startOptions);
+
+    const player = {
+        replay: replay,
+        get time() { return time; },
+        get duration() { return replay.duration; },
+        get speed() { return speed; },
+        set speed(value) { speed = value; },
+        get playing() { return playing; },
+        set playing(value) { playing = value; },
+        get finished() { return time >= replay.duration; },
+
+        // Advance playback by a real-time delta, scaled by the speed
+        advance(delta) {
+            if (!playing || player.finished) return;
+            time = Math.min(replay.duration, time + delta * speed);
+            index = applyUntil(engine, replay.actions, index, time);
+        },
+
+        // Jump to any point: re-simulate silently from the seed, then load the result
+        seek(target) {
+            target = Math.max(0, Math.min(replay.duration, target));
+            const silent = LineBreakerEngine.createEngine();
+            silent.start(startOptions);
+            index = applyUntil(silent, replay.actions, 0, target);
+            time = target;
+            engine.load(silent.state);
+        }
+    };
+    return player;
+}
+
+const LineBreakerReplay = {
+    ACTION_CODES: ACTION_CODES,
+    createRecorder: createRecorder,
+    encodeReplay: encodeReplay,
+    decodeReplay: decodeReplay,
+    createPlayer: createPlayer
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerReplay;
+} else {
+    root.LineBreakerReplay = LineBreakerReplay;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,105 @@
+// LineBreaker Saved Game
+// The game in progress is saved to storage (localStorage in the browser)
+// whenever it pauses, so closing the tab or the OS killing the page doesn't
+// lose it; the next visit offers to continue. The whole engine state is kept,
+// along with the recording so far so the game can still be replayed.
+// Saves carry a version: older ones are upgraded and fields added to the
+// engine since are filled in with their defaults.
+(function (root) {
+
+const LineBreakerEngine = typeof module !== 'undefined' && module.exports ?
+    require('./engine.js') : root.LineBreakerEngine;
+const LineBreakerModes = typeof module !== 'undefined' && module.exports ?
+    require('./modes.js') : root.LineBreakerModes;
+const LineBreakerReplay = typeof module !== 'undefined' && module.exports ?
+    require('./replay.js') : root.LineBreakerReplay;
+
+const STORAGE_KEY = 'lineBreakerSavedGame';
+const SAVE_VERSION = 1;
+
+// Upgrades from each older version to the next, by the version they upgrade
+const MIGRATIONS = {};
+
+// A save holds:
+//   v: SAVE_VERSION
+//   savedAt: Date.now() when it was saved
+//   state: the engine's state
+//   replay: the encoded recording (replay.js) up to that point, or null
+
+// Save a game in progress. Throws when storage is full.
+function saveGame(storage, state, replay) {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+        v: SAVE_VERSION,
+        savedAt: Date.now(),
+        state: state,
+        replay: replay ? LineBreakerReplay.encodeReplay(replay) : null
+    }));
+}
+
+// Is a saved grid the size of today's board?
+function fitsBoard(grid) {
+    return Array.isArray(grid) && grid.length === LineBreakerEngine.ROWS &&
+        grid.every(row => Array.isArray(row) && row.length === LineBreakerEngine.COLS);
+}
+
+// Bring a save up to date, or return null when it can't be continued
+function upgrade(data) {
+    if (!data || typeof data.v !== 'number' || typeof data.state !== 'object' || data.state === null) {
+        return null;
+    }
+    if (data.v > SAVE_VERSION) return null;
+    while (data.v < SAVE_VERSION) {
+        if (!MIGRATIONS[data.v]) return null;
+        data = MIGRATIONS[data.v](data);
+    }
+
+    const saved = data.state;
+    if (!LineBreakerModes.MODES[saved.mode] || saved.isGameOver) return null;
+    if (!fitsBoard(saved.grid) || !fitsBoard(saved.blockTypes)) return null;
+
+    // Fields the engine gained since the save start out as in a new game
+    const state = Object.assign(LineBreakerEngine.createState({ seed: saved.seed, mode: saved.mode }), saved);
+    state.isPaused = true;
+
+    // A recording from an incompatible version is dropped, not the game
+    let replay = null;
+    if (data.replay) {
+        try {
+            replay = LineBreakerReplay.decodeReplay(data.replay);
+        } catch (e) {
+            console.log('Saved game continues without its replay:', e.message);
+        }
+    }
+    return { savedAt: data.savedAt, state: state, replay: replay };
+}
+
+// Load the saved game: { savedAt, state, replay }, or null when there is none
+// (or it can't be continued)
+function loadGame(storage) {
+    try {
+        return upgrade(JSON.parse(storage.getItem(STORAGE_KEY)));
+    } catch (e) {
+        console.log('Ignoring invalid saved game');
+        return null;
+    }
+}
+
+// Forget the saved game
+function clearGame(storage) {
+    storage.removeItem(STORAGE_KEY);
+}
+
+const LineBreakerSaveGame = {
+    SAVE_VERSION: SAVE_VERSION,
+    saveGame: saveGame,
+    loadGame: loadGame,
+    clearGame: clearGame
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerSaveGame;
+} else {
+    root.LineBreakerSaveGame = LineBreakerSaveGame;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,136 @@
+// LineBreaker Scoring
+// What every locked piece is worth. The engine describes the lock (lines
+// cleared, T-spin, perfect clear) and keeps the running combo and
+// back-to-back streak; this turns that into a list of labelled awards so the
+// game can show each one as it is earned. Cascades score their follow-up
+// clears separately, multiplied by how far down the chain they are.
+(function (root) {
+
+const SOFT_DROP_SCORE = 1; // Per cell
+const HARD_DROP_SCORE = 2; // Per cell
+const SPECIAL_CELL_SCORE = 10; // Per block cleared by a special block
+
+// Line clears by lines cleared (times level); more than four score as four
+const CLEAR_AWARDS = [
+    null,
+    { label: 'Single', points: 100 },
+    { label: 'Double', points: 300 },
+    { label: 'Triple', points: 500 },
+    { label: 'Quad', points: 800 }
+];
+const T_SPIN_AWARDS = [
+    { label: 'T-Spin', points: 400 },
+    { label: 'T-Spin Single', points: 800 },
+    { label: 'T-Spin Double', points: 1200 },
+    { label: 'T-Spin Triple', points: 1600 }
+];
+const MINI_T_SPIN_AWARDS = [
+    { label: 'Mini T-Spin', points: 100 },
+    { label: 'Mini T-Spin Single', points: 200 },
+    { label: 'Mini T-Spin Double', points: 400 }
+];
+const PERFECT_CLEAR_SCORES = [0, 800, 1200, 1800, 2000];
+
+const COMBO_SCORE = 50; // Times combo count and level
+const BACK_TO_BACK_BONUS = 0.5; // Share of the clear added for back-to-back
+const CROSS_CLEAR_SCORE = 200; // Per row and column crossing, times level
+
+// Running streaks of a new game
+function createStreak() {
+    return {
+        combo: -1, // Pieces in a row that cleared lines, minus one
+        backToBack: false // The last clear was a difficult one
+    };
+}
+
+// Award for the clear itself, from the tables above
+function clearAward(lines, tSpin) {
+    if (tSpin === 'full') {
+        return T_SPIN_AWARDS[Math.min(lines, T_SPIN_AWARDS.length - 1)];
+    }
+    if (tSpin === 'mini') {
+        return MINI_T_SPIN_AWARDS[Math.min(lines, MINI_T_SPIN_AWARDS.length - 1)];
+    }
+    return CLEAR_AWARDS[Math.min(lines, CLEAR_AWARDS.length - 1)];
+}
+
+// Score a locked piece. lock is:
+//   rows, cols: lines cleared in each direction
+//   tSpin: null, 'mini' or 'full'
+//   perfectClear: the board is empty afterwards
+//   specialCells: blocks cleared by special blocks
+//   level: level after the clear
+// Returns the awards in the order they are shown ({ label, points }) and the
+// streak after this lock; the streak passed in is left untouched.
+function scoreLock(lock, streak) {
+    const lines = lock.rows + lock.cols;
+    const level = lock.level;
+    const awards = [];
+    const next = { combo: streak.combo, backToBack: streak.backToBack };
+
+    const clear = clearAward(lines, lock.tSpin);
+    if (clear) {
+        awards.push({ label: clear.label, points: clear.points * level });
+    }
+
+    // Locks without lines end the combo, but not the back-to-back streak
+    if (lines === 0) {
+        next.combo = -1;
+        return { awards: awards, streak: next };
+    }
+
+    // Quads and T-spins that clear lines are difficult; two in a row earn a bonus
+    const difficult = lines >= 4 || !!lock.tSpin;
+    if (difficult && streak.backToBack) {
+        awards.push({ label: 'Back-to-Back', points: Math.floor(clear.points * level * BACK_TO_BACK_BONUS) });
+    }
+    next.backToBack = difficult;
+
+    next.combo = streak.combo + 1;
+    if (next.combo > 0) {
+        awards.push({ label: `Combo x${next.combo}`, points: COMBO_SCORE * next.combo * level });
+    }
+    return { awards: awards.concat(bonusAwards(lock)), streak: next };
+}
+
+// Follow-up clear number chain (2 and up) of a cascade. lock is as for
+// scoreLock without tSpin; the clear is worth chain times as much.
+function scoreChain(lock, chain) {
+    const clear = clearAward(lock.rows + lock.cols, null);
+    return [{ label: `Chain x${chain} ${clear.label}`, points: clear.points * lock.level * chain }]
+        .concat(bonusAwards(lock));
+}
+
+// Bonuses any clear can earn on top of the lines
+function bonusAwards(lock) {
+    const lines = lock.rows + lock.cols;
+    const awards = [];
+    if (lock.rows > 0 && lock.cols > 0) {
+        awards.push({ label: 'Cross Clear', points: CROSS_CLEAR_SCORE * lock.rows * lock.cols * lock.level });
+    }
+    if (lock.perfectClear) {
+        const points = PERFECT_CLEAR_SCORES[Math.min(lines, PERFECT_CLEAR_SCORES.length - 1)];
+        awards.push({ label: 'Perfect Clear', points: points * lock.level });
+    }
+    if (lock.specialCells > 0) {
+        awards.push({ label: 'Specials', points: lock.specialCells * SPECIAL_CELL_SCORE });
+    }
+    return awards;
+}
+
+const LineBreakerScoring = {
+    SOFT_DROP_SCORE: SOFT_DROP_SCORE,
+    HARD_DROP_SCORE: HARD_DROP_SCORE,
+    SPECIAL_CELL_SCORE: SPECIAL_CELL_SCORE,
+    createStreak: createStreak,
+    scoreLock: scoreLock,
+    scoreChain: scoreChain
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerScoring;
+} else {
+    root.LineBreakerScoring = LineBreakerScoring;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,68 @@
+// LineBreaker Service Worker
+// Precaches the whole game so it installs as an app and plays offline.
+// Every release bumps CACHE_VERSION: the browser sees the changed worker,
+// installs it next to the running one with a fresh cache, and the page
+// offers to reload (game.js). Only once the player agrees does it take over
+// and delete the old caches, so a game in progress never mixes versions.
+
+const CACHE_PREFIX = 'linebreaker-';
+const CACHE_VERSION = 9;
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Everything the game needs, in the order index.html loads it
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'random.js',
+    'generators.js',
+    'modes.js',
+    'gravity-rules.js',
+    'blocks.js',
+    'scoring.js',
+    'garbage.js',
+    'engine.js',
+    'settings.js',
+    'stats.js',
+    'leaderboard.js',
+    'achievements.js',
+    'replay.js',
+    'savegame.js',
+    'versus.js',
+    'netplay.js',
+    'game.js',
+    'privacy.html',
+    'terms.html'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES)));
+});
+
+// The page asks the waiting worker to take over when the player reloads
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+// Serve the game's own files from the cache, falling back to the network;
+// offline navigations get the game page
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE_NAME)
+        .then(cache => cache.match(request, { ignoreSearch: true }))
+        .then(cached => cached || fetch(request).catch((err) => {
+            if (request.mode === 'navigate') return caches.match('index.html');
+            throw err;
+        })));
+});
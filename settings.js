@@ -0,0 +1,232 @@
+// LineBreaker Settings
+// Player preferences: key and controller bindings, held-key timing, touch
+// and mouse behavior. Saved as one JSON object in localStorage; anything missing or
+// invalid falls back to the defaults, so older saves keep loading.
+(function (root) {
+
+const LineBreakerEngine = typeof module !== 'undefined' && module.exports ?
+    require('./engine.js') : root.LineBreakerEngine;
+
+const STORAGE_KEY = 'lineBreakerSettings';
+const LEGACY_CONTROLS_KEY = 'lineBreakerControls'; // Held-key timing saved before the settings screen
+
+// Actions that can be bound to keys, in the order the settings screen lists them.
+// The first four are screen directions: the one pointing along gravity soft
+// drops, the one pointing against it rotates and the other two move. The
+// labels say what they do under normal (DOWN) gravity.
+const KEY_ACTIONS = [
+    { id: 'moveLeft', label: 'Left (move)' },
+    { id: 'moveRight', label: 'Right (move)' },
+    { id: 'down', label: 'Down (soft drop)' },
+    { id: 'up', label: 'Up (rotate)' },
+    { id: 'rotateClockwise', label: 'Rotate' },
+    { id: 'rotateCounterClockwise', label: 'Rotate back' },
+    { id: 'hardDrop', label: 'Hard drop' },
+    { id: 'hold', label: 'Hold' },
+    { id: 'pause', label: 'Pause' }
+];
+const BINDINGS_PER_ACTION = 2;
+
+// Buttons of the browser's "standard" gamepad layout
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L-Stick', 'R-Stick', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+];
+
+// Button mapping for controllers without one of their own
+const DEFAULT_GAMEPAD_BUTTONS = {
+    moveLeft: [14, null],
+    moveRight: [15, null],
+    down: [13, null],
+    up: [12, null],
+    rotateClockwise: [0, null],
+    rotateCounterClockwise: [1, null],
+    hardDrop: [3, null],
+    hold: [4, 5],
+    pause: [9, null]
+};
+
+const DEFAULT_SETTINGS = {
+    keys: {
+        moveLeft: ['ArrowLeft', 'a'],
+        moveRight: ['ArrowRight', 'd'],
+        down: ['ArrowDown', 's'],
+        up: ['ArrowUp', 'w'],
+        rotateClockwise: ['x', null],
+        rotateCounterClockwise: ['z', null],
+        hardDrop: [' ', null],
+        hold: ['c', 'Shift'],
+        pause: ['p', 'Escape']
+    },
+    das: 167, // Delayed auto shift (ms)
+    arr: 33, // Auto repeat rate (ms), 0 slides straight to the wall
+    softDropFactor: 20, // Soft drop speed as a multiple of the drop speed
+    lockDelay: LineBreakerEngine.LOCK_DELAY,
+    touch: {
+        swipeThreshold: 30, // Minimum distance for a swipe (px)
+        tapThreshold: 200, // Maximum time for a tap (ms)
+        dragThreshold: 15, // Minimum distance to start dragging (px)
+        swipeToDrop: true // Swipe along gravity to hard drop
+    },
+    mouse: {
+        enabled: true, // Drag to move, click to rotate
+        dragThreshold: 10, // Minimum distance to start dragging (px)
+        clickThreshold: 200, // Maximum time for a click (ms)
+        rightClickHold: true
+    },
+    gamepad: {
+        deadzone: 0.5, // Stick travel (0-1) before it counts as a direction
+        mappings: {} // Button mappings by controller id
+    }
+};
+
+// Compare keys case-insensitively for letters ('A' and 'a' are the same key)
+function normalizeKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Readable name for a key
+function keyLabel(key) {
+    const names = {
+        ' ': 'Space',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Escape: 'Esc'
+    };
+    if (!key) return '—';
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Readable name for a gamepad button
+function buttonLabel(button) {
+    if (button === null || button === undefined) return '—';
+    return GAMEPAD_BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+// Keep a saved binding list only if it has the expected length and types
+function readBindings(saved, type, normalize) {
+    return Array.from({ length: BINDINGS_PER_ACTION },
+        (_, i) => typeof saved[i] === type ? normalize(saved[i]) : null);
+}
+
+// Fresh copy of the defaults
+function defaultSettings() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+// Copy saved values over the defaults, keeping only known settings of the right type
+function mergeSettings(target, saved) {
+    for (const name in target) {
+        if (!saved || saved[name] === undefined) continue;
+        if (name === 'keys') {
+            for (const action in target.keys) {
+                const keys = saved.keys && saved.keys[action];
+                if (Array.isArray(keys)) {
+                    target.keys[action] = readBindings(keys, 'string', normalizeKey);
+                }
+            }
+        } else if (name === 'mappings') {
+            for (const id in saved.mappings) {
+                const buttons = JSON.parse(JSON.stringify(DEFAULT_GAMEPAD_BUTTONS));
+                for (const action in buttons) {
+                    const savedButtons = saved.mappings[id] && saved.mappings[id][action];
+                    if (Array.isArray(savedButtons)) {
+                        buttons[action] = readBindings(savedButtons, 'number', button => button);
+                    }
+                }
+                target.mappings[id] = buttons;
+            }
+        } else if (typeof target[name] === 'object') {
+            mergeSettings(target[name], saved[name]);
+        } else if (typeof saved[name] === typeof target[name]) {
+            target[name] = saved[name];
+        }
+    }
+    return target;
+}
+
+// Load settings from storage (localStorage in the browser)
+function loadSettings(storage) {
+    const settings = defaultSettings();
+    try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (saved) return mergeSettings(settings, saved);
+        mergeSettings(settings, JSON.parse(storage.getItem(LEGACY_CONTROLS_KEY)));
+    } catch (e) {
+        console.log('Ignoring invalid saved settings');
+    }
+    return settings;
+}
+
+// Save settings to storage
+function saveSettings(storage, settings) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// Action bound to a key, or null
+function actionForKey(settings, key) {
+    key = normalizeKey(key);
+    for (const action in settings.keys) {
+        if (settings.keys[action].includes(key)) return action;
+    }
+    return null;
+}
+
+// Button mapping for a controller, created from the defaults the first time
+// it is needed so remapping one controller leaves the others alone
+function gamepadMapping(settings, id) {
+    if (!settings.gamepad.mappings[id]) {
+        settings.gamepad.mappings[id] = JSON.parse(JSON.stringify(DEFAULT_GAMEPAD_BUTTONS));
+    }
+    return settings.gamepad.mappings[id];
+}
+
+// Action bound to a button in a controller mapping, or null
+function actionForButton(mapping, button) {
+    for (const action in mapping) {
+        if (mapping[action].includes(button)) return action;
+    }
+    return null;
+}
+
+// Keys or buttons bound to more than one action: [{ key, actions }]
+function findConflicts(bindings) {
+    const byKey = {};
+    for (const action in bindings) {
+        for (const key of bindings[action]) {
+            if (key === null) continue;
+            byKey[key] = byKey[key] || [];
+            if (!byKey[key].includes(action)) byKey[key].push(action);
+        }
+    }
+    return Object.keys(byKey)
+        .filter(key => byKey[key].length > 1)
+        .map(key => ({ key: key, actions: byKey[key] }));
+}
+
+const LineBreakerSettings = {
+    KEY_ACTIONS: KEY_ACTIONS,
+    BINDINGS_PER_ACTION: BINDINGS_PER_ACTION,
+    DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+    DEFAULT_GAMEPAD_BUTTONS: DEFAULT_GAMEPAD_BUTTONS,
+    normalizeKey: normalizeKey,
+    keyLabel: keyLabel,
+    buttonLabel: buttonLabel,
+    defaultSettings: defaultSettings,
+    loadSettings: loadSettings,
+    saveSettings: saveSettings,
+    actionForKey: actionForKey,
+    gamepadMapping: gamepadMapping,
+    actionForButton: actionForButton,
+    findConflicts: findConflicts
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerSettings;
+} else {
+    root.LineBreakerSettings = LineBreakerSettings;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,166 @@
+// LineBreaker Statistics
+// Every finished game is stored in IndexedDB with what happened in it, so the
+// stats screen can show totals, averages, personal bests per mode and how
+// scores went over time. A tracker follows the engine's events during a game;
+// storage calls return promises and reject when IndexedDB is unavailable.
+(function (root) {
+
+const LineBreakerBlocks = typeof module !== 'undefined' && module.exports ?
+    require('./blocks.js') : root.LineBreakerBlocks;
+
+const DB_NAME = 'lineBreakerStats';
+const DB_VERSION = 1;
+const GAMES_STORE = 'games';
+
+const { BLOCK_TYPES } = LineBreakerBlocks;
+const BOMB_TYPES = [BLOCK_TYPES.BOMB, BLOCK_TYPES.COLOR_BOMB];
+
+// Follow a game on an engine and hand its record to onGame when it ends.
+// A record holds:
+//   endedAt: Date.now() when it ended
+//   mode, seed, outcome: as in the engine's state
+//   score, lines, level, duration (ms of game time)
+//   pieces: pieces locked
+//   bombs: bombs and color bombs set off
+//   gravityShifts: shifts the player lived through
+//   rowClears, colClears: lines cleared in each direction
+function createTracker(engine, onGame) {
+    let counts = null;
+
+    // A continued game (savegame.js) loads its state; it is counted from there on
+    const startCounting = () => {
+        counts = { pieces: 0, bombs: 0, gravityShifts: 0, rowClears: 0, colClears: 0 };
+    };
+    engine.on('start', startCounting);
+    engine.on('load', startCounting);
+    engine.on('lock', () => {
+        if (counts) counts.pieces++;
+    });
+    engine.on('special', (event) => {
+        if (counts && BOMB_TYPES.includes(event.block)) counts.bombs++;
+    });
+    engine.on('gravityShift', () => {
+        if (counts) counts.gravityShifts++;
+    });
+    engine.on('linesCleared', (event) => {
+        if (!counts) return;
+        counts.rowClears += event.rows.length;
+        counts.colClears += event.cols.length;
+    });
+    engine.on('gameOver', (event, state) => {
+        if (!counts) return;
+        const record = Object.assign({
+            endedAt: Date.now(),
+            mode: event.mode,
+            seed: state.seed,
+            outcome: event.outcome,
+            score: event.score,
+            lines: event.lines,
+            level: event.level,
+            duration: Math.round(event.time)
+        }, counts);
+        counts = null;
+        onGame(record);
+    });
+}
+
+let databasePromise = null;
+
+// Open (and on first use create) the database, once per page
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(GAMES_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('mode', 'mode');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again after a failure
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+// Run a request on the games store, resolving with its result
+function withStore(mode, makeRequest) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(GAMES_STORE, mode);
+        const request = makeRequest(transaction.objectStore(GAMES_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+// Store a finished game's record; resolves with its id
+function saveGame(record) {
+    return withStore('readwrite', store => store.add(record));
+}
+
+// Every stored game, oldest first
+function loadGames() {
+    return withStore('readonly', store => store.getAll());
+}
+
+// Forget every stored game
+function clearGames() {
+    return withStore('readwrite', store => store.clear());
+}
+
+// Totals, averages and personal bests per mode over a list of games.
+// A mode's best time is its fastest game that reached the goal.
+function summarize(games) {
+    const totals = { score: 0, lines: 0, pieces: 0, bombs: 0, gravityShifts: 0, rowClears: 0, colClears: 0, duration: 0 };
+    const bests = {};
+    for (const game of games) {
+        for (const key in totals) {
+            totals[key] += game[key] || 0;
+        }
+        const best = bests[game.mode] || (bests[game.mode] = { games: 0, score: 0, lines: 0, level: 0, time: null });
+        best.games++;
+        best.score = Math.max(best.score, game.score);
+        best.lines = Math.max(best.lines, game.lines);
+        best.level = Math.max(best.level, game.level);
+        if (game.outcome === 'goal' && (best.time === null || game.duration < best.time)) {
+            best.time = game.duration;
+        }
+    }
+    const count = games.length;
+    const average = key => count > 0 ? totals[key] / count : 0;
+    return {
+        games: count,
+        totals: totals,
+        averages: {
+            score: Math.round(average('score')),
+            lines: Math.round(average('lines')),
+            pieces: Math.round(average('pieces')),
+            duration: Math.round(average('duration'))
+        },
+        bests: bests
+    };
+}
+
+const LineBreakerStats = {
+    createTracker: createTracker,
+    saveGame: saveGame,
+    loadGames: loadGames,
+    clearGames: clearGames,
+    summarize: summarize
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerStats;
+} else {
+    root.LineBreakerStats = LineBreakerStats;
+}
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,241 @@
+// Rules tests for the headless engine (engine.js): collision, rotation and
+// its kicks, line clears, gravity shifts and garbage. Boards are set up by
+// hand on a seeded game with timed gravity shifts off. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const LineBreakerEngine = require('../engine.js');
+
+const { COLS, ROWS, GRAVITY, BLOCK_TYPES } = LineBreakerEngine;
+const I = 0;
+const T = 2;
+const SINGLE_DOT = 7;
+const DOUBLE_DOT = 8;
+const BLOCK = '#FFFFFF';
+
+function newGame(options) {
+    const engine = LineBreakerEngine.createEngine();
+    engine.start(Object.assign({ seed: 'engine', gravityRule: 'off' }, options));
+    return engine;
+}
+
+// Make the current piece a plain piece of a type, at a place and rotation
+function place(engine, type, x, y, rotation = 0) {
+    const state = engine.state;
+    state.currentPiece = {
+        type: type,
+        shape: LineBreakerEngine.orientShape(type, rotation, state.currentGravity),
+        color: LineBreakerEngine.COLORS[type],
+        x: x,
+        y: y,
+        rotation: rotation,
+        lastKick: null,
+        special: BLOCK_TYPES.NORMAL
+    };
+}
+
+// Fill a row, leaving the given columns empty
+function fillRow(state, row, ...holes) {
+    for (let col = 0; col < COLS; col++) {
+        state.grid[row][col] = holes.includes(col) ? 0 : BLOCK;
+    }
+}
+
+test('collision stops at the walls, the floor and other blocks', () => {
+    const state = newGame().state;
+    const square = [[1, 1], [1, 1]];
+    assert.strictEqual(LineBreakerEngine.collision(state, 0, 0, square), false);
+    assert.strictEqual(LineBreakerEngine.collision(state, COLS - 2, ROWS - 2, square), false);
+    assert.strictEqual(LineBreakerEngine.collision(state, -1, 0, square), true, 'left wall');
+    assert.strictEqual(LineBreakerEngine.collision(state, COLS - 1, 0, square), true, 'right wall');
+    assert.strictEqual(LineBreakerEngine.collision(state, 0, ROWS - 1, square), true, 'floor');
+    assert.strictEqual(LineBreakerEngine.collision(state, 0, -1, square), true, 'ceiling');
+
+    state.grid[5][5] = BLOCK;
+    assert.strictEqual(LineBreakerEngine.collision(state, 4, 4, square), true, 'block');
+    // Empty cells of a shape don't collide
+    assert.strictEqual(LineBreakerEngine.collision(state, 4, 4, [[1, 0], [0, 0]]), false);
+});
+
+test('pieces turn both ways around their rotation box', () => {
+    const engine = newGame();
+    place(engine, T, 4, 5);
+    engine.rotate(1);
+    assert.deepStrictEqual(engine.state.currentPiece.shape, [[1, 0], [1, 1], [1, 0]]);
+    assert.strictEqual(engine.state.currentPiece.rotation, 1);
+    assert.strictEqual(engine.state.currentPiece.x, 5);
+    assert.strictEqual(engine.state.currentPiece.lastKick, 0, 'no kick in open space');
+
+    place(engine, T, 4, 5);
+    engine.rotate(-1);
+    assert.deepStrictEqual(engine.state.currentPiece.shape, [[0, 1], [1, 1], [0, 1]]);
+    assert.strictEqual(engine.state.currentPiece.rotation, 3);
+    assert.strictEqual(engine.state.currentPiece.x, 4);
+});
+
+test('a T against the left wall kicks right when it turns flat', () => {
+    const engine = newGame();
+    place(engine, T, 0, 5, 1);
+    engine.rotate(1);
+    const piece = engine.state.currentPiece;
+    assert.strictEqual(piece.rotation, 2);
+    assert.strictEqual(piece.lastKick, 1, 'second SRS kick, one column right');
+    assert.deepStrictEqual({ x: piece.x, y: piece.y }, { x: 0, y: 6 });
+});
+
+test('an I lying on the floor kicks up two rows when it stands up', () => {
+    const engine = newGame();
+    place(engine, I, 3, ROWS - 1);
+    engine.rotate(1);
+    const piece = engine.state.currentPiece;
+    assert.strictEqual(piece.rotation, 1);
+    assert.strictEqual(piece.lastKick, 4, 'last I kick, (1, 2)');
+    assert.deepStrictEqual({ x: piece.x, y: piece.y }, { x: 6, y: ROWS - 4 });
+});
+
+test('a piece that fits nowhere does not turn', () => {
+    const engine = newGame();
+    const state = engine.state;
+    // A full board but for the I lying in the bottom row
+    for (let row = 0; row < ROWS - 1; row++) fillRow(state, row);
+    fillRow(state, ROWS - 1, 4, 5, 6, 7);
+    place(engine, I, 4, ROWS - 1);
+    engine.rotate(1);
+    assert.strictEqual(state.currentPiece.rotation, 0);
+    assert.deepStrictEqual({ x: state.currentPiece.x, y: state.currentPiece.y }, { x: 4, y: ROWS - 1 });
+});
+
+test('a full row clears and the rows above fall into its place', () => {
+    const engine = newGame();
+    const state = engine.state;
+    fillRow(state, ROWS - 1, 3);
+    state.grid[ROWS - 2][7] = BLOCK;
+    place(engine, SINGLE_DOT, 3, 0);
+    engine.hardDrop();
+    assert.strictEqual(state.lines, 1);
+    assert.strictEqual(state.grid[ROWS - 1][7], BLOCK, 'the block above fell a row');
+    assert.strictEqual(state.grid[ROWS - 1].filter(cell => cell).length, 1);
+    assert.ok(state.grid[ROWS - 2].every(cell => !cell));
+});
+
+test('two rows filled by one piece clear together', () => {
+    const engine = newGame();
+    const state = engine.state;
+    fillRow(state, ROWS - 1, 0);
+    fillRow(state, ROWS - 2, 0);
+    fillRow(state, ROWS - 3, 0, 1, 2, 3, 4, 5, 6, 8, 9);
+    place(engine, DOUBLE_DOT, 0, 0, 1);
+    engine.hardDrop();
+    assert.strictEqual(state.lines, 2);
+    assert.strictEqual(state.grid[ROWS - 1][7], BLOCK);
+    assert.strictEqual(state.grid.flat().filter(cell => cell).length, 1);
+});
+
+test('a row with a hole does not clear', () => {
+    const engine = newGame();
+    const state = engine.state;
+    fillRow(state, ROWS - 1, 3, 4);
+    place(engine, SINGLE_DOT, 3, 0);
+    engine.hardDrop();
+    assert.strictEqual(state.lines, 0);
+    assert.strictEqual(state.grid[ROWS - 1].filter(cell => cell).length, COLS - 1);
+});
+
+test('flipping gravity mirrors the board and the falling piece', () => {
+    const engine = newGame();
+    const state = engine.state;
+    state.grid[ROWS - 1][2] = BLOCK;
+    state.grid[ROWS - 2][2] = BLOCK;
+    place(engine, T, 4, 0);
+    engine.shiftGravity();
+    assert.strictEqual(state.currentGravity, GRAVITY.UP);
+    assert.strictEqual(state.grid[0][2], BLOCK);
+    assert.strictEqual(state.grid[1][2], BLOCK);
+    assert.strictEqual(state.grid[ROWS - 1][2], 0);
+    assert.strictEqual(state.currentPiece.y, ROWS - 2, 'the piece keeps its distance from the floor');
+    assert.deepStrictEqual(state.currentPiece.shape, [[1, 1, 1], [0, 1, 0]], 'and still points away from it');
+
+    engine.shiftGravity();
+    assert.strictEqual(state.currentGravity, GRAVITY.DOWN);
+    assert.strictEqual(state.grid[ROWS - 1][2], BLOCK);
+});
+
+test('a quarter turn of gravity drops every block to the new floor', () => {
+    const engine = newGame({ sidewaysGravity: true });
+    const state = engine.state;
+    state.grid[ROWS - 1][5] = BLOCK;
+    state.grid[3][8] = BLOCK;
+    engine.shiftGravity();
+    assert.strictEqual(state.currentGravity, GRAVITY.LEFT);
+    assert.strictEqual(state.grid[ROWS - 1][0], BLOCK);
+    assert.strictEqual(state.grid[3][0], BLOCK);
+    assert.strictEqual(state.grid.flat().filter(cell => cell).length, 2);
+});
+
+test('blocks that fall to the new floor can complete lines', () => {
+    const engine = newGame({ sidewaysGravity: true });
+    const state = engine.state;
+    // Every row holds one block, so the new floor along the left wall fills up
+    for (let row = 0; row < ROWS; row++) state.grid[row][row % COLS] = BLOCK;
+    place(engine, SINGLE_DOT, 9, 0);
+    engine.shiftGravity();
+    assert.strictEqual(state.lines, 1);
+    assert.ok(state.grid.every(cells => cells.every(cell => !cell)));
+});
+
+test('garbage rises from the floor and pushes the stack up', () => {
+    const engine = newGame();
+    const state = engine.state;
+    state.grid[ROWS - 1][5] = BLOCK;
+    place(engine, T, 4, 0);
+    engine.garbage(2, 3);
+    for (const row of [ROWS - 1, ROWS - 2]) {
+        assert.strictEqual(state.grid[row][3], 0, 'hole');
+        assert.strictEqual(state.grid[row].filter(cell => cell).length, COLS - 1);
+    }
+    assert.strictEqual(state.grid[ROWS - 3][5], BLOCK);
+    assert.strictEqual(state.isGameOver, false);
+});
+
+test('garbage rises from the top when gravity pulls up', () => {
+    const engine = newGame();
+    const state = engine.state;
+    engine.shiftGravity();
+    state.grid[0][5] = BLOCK;
+    engine.garbage(1, 0);
+    assert.strictEqual(state.grid[0][0], 0);
+    assert.strictEqual(state.grid[0].filter(cell => cell).length, COLS - 1);
+    assert.strictEqual(state.grid[1][5], BLOCK);
+});
+
+test('garbage carries the falling piece along, and tops out a full board', () => {
+    const engine = newGame();
+    const state = engine.state;
+    fillRow(state, ROWS - 1, 0);
+    place(engine, SINGLE_DOT, 2, ROWS - 2);
+    engine.garbage(1, 0);
+    assert.strictEqual(state.currentPiece.y, ROWS - 3);
+
+    for (let row = 1; row < ROWS; row++) fillRow(state, row, 0);
+    state.grid[0][4] = BLOCK;
+    engine.garbage(1, 0);
+    assert.strictEqual(state.isGameOver, true);
+    assert.strictEqual(state.outcome, 'topOut');
+});
+
+test('turning a piece off the ground and back uses up its lock resets', () => {
+    const engine = newGame({ mode: 'zen' });
+    const state = engine.state;
+    // A T on the floor kicks up on some turns and lands again on others
+    place(engine, T, 4, ROWS - 2);
+    engine.drop();
+    let locked = false;
+    engine.on('lock', () => {
+        locked = true;
+    });
+    for (let turn = 0; turn < 100 && !locked; turn++) {
+        engine.tick(100);
+        engine.rotate(1);
+    }
+    assert.ok(locked, 'the piece locked');
+    assert.ok(state.time <= (LineBreakerEngine.MAX_LOCK_RESETS + 6) * 100, `locked after ${state.time}ms`);
+});
@@ -0,0 +1,76 @@
+// Distribution tests for the piece generators (generators.js), on seeded
+// runs so they always see the same pieces. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const LineBreakerRandom = require('../random.js');
+const LineBreakerGenerators = require('../generators.js');
+
+const SHAPE_COUNT = 12;
+const TETROMINO_COUNT = 7;
+
+// Deal count shapes from a generator, starting a game at a level
+function deal(name, count, level = 1, seed = 'generators') {
+    const random = LineBreakerRandom.createRandom(seed);
+    const generator = LineBreakerGenerators.getGenerator(name);
+    const state = { bag: [], level: level };
+    const shapes = [];
+    for (let i = 0; i < count; i++) {
+        shapes.push(generator.next(state, () => random.next()));
+    }
+    return shapes;
+}
+
+// How often each shape came up, as a share of the pieces dealt
+function frequencies(shapes) {
+    const counts = new Array(SHAPE_COUNT).fill(0);
+    shapes.forEach(shape => counts[shape]++);
+    return counts.map(count => count / shapes.length);
+}
+
+// Every bag-sized window of a bag generator holds each shape exactly once
+function assertBags(name, bagSize) {
+    const shapes = deal(name, bagSize * 200);
+    for (let start = 0; start < shapes.length; start += bagSize) {
+        const bag = shapes.slice(start, start + bagSize).sort((a, b) => a - b);
+        assert.deepStrictEqual(bag, Array.from({ length: bagSize }, (_, i) => i), `bag at piece ${start}`);
+    }
+}
+
+test('7-bag deals every tetromino once per bag', () => {
+    assertBags('bag7', TETROMINO_COUNT);
+});
+
+test('12-bag deals every shape once per bag', () => {
+    assertBags('bag12', SHAPE_COUNT);
+});
+
+test('uniform reaches every shape about equally often', () => {
+    const expected = 1 / SHAPE_COUNT;
+    frequencies(deal('uniform', 24000)).forEach((share, shape) => {
+        assert.ok(Math.abs(share - expected) < expected * 0.1,
+            `shape ${shape} came up ${(share * 100).toFixed(2)}% of the time`);
+    });
+});
+
+test('weighted follows the weights of the level', () => {
+    for (const level of [1, 10, 20]) {
+        const weights = LineBreakerGenerators.getWeights(level);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        frequencies(deal('weighted', 40000, level)).forEach((share, shape) => {
+            assert.ok(Math.abs(share - weights[shape] / total) < 0.01,
+                `level ${level}: shape ${shape} came up ${(share * 100).toFixed(2)}% ` +
+                `of the time, weighted ${(weights[shape] / total * 100).toFixed(2)}%`);
+        });
+    }
+});
+
+test('weighted shifts toward the harder shapes as the level rises', () => {
+    const early = frequencies(deal('weighted', 40000, 1));
+    const late = frequencies(deal('weighted', 40000, 20));
+    const S = 3;
+    const Z = 4;
+    const SINGLE_DOT = 7;
+    assert.ok(late[S] > early[S] * 2, 'S gets more common');
+    assert.ok(late[Z] > early[Z] * 2, 'Z gets more common');
+    assert.ok(late[SINGLE_DOT] < early[SINGLE_DOT] / 2, 'the single dot gets rarer');
+});
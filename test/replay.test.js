@@ -0,0 +1,68 @@
+// Round trips through the replay format (replay.js): a game played live,
+// encoded, decoded and played back has to end on the same board.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const LineBreakerEngine = require('../engine.js');
+const LineBreakerReplay = require('../replay.js');
+
+// Play a game live from frame deltas and actions, then return the live state
+// and the state its replay ends on
+function roundTrip(options, steps) {
+    const engine = LineBreakerEngine.createEngine();
+    const recorder = LineBreakerReplay.createRecorder(engine);
+    engine.start(options);
+    for (const step of steps) {
+        if (typeof step === 'number') {
+            engine.tick(step);
+        } else {
+            engine.dispatch(step);
+        }
+    }
+
+    const text = LineBreakerReplay.encodeReplay(recorder.getReplay());
+    const replay = LineBreakerReplay.decodeReplay(text);
+    const playback = LineBreakerEngine.createEngine();
+    const player = LineBreakerReplay.createPlayer(replay, playback);
+    player.advance(replay.duration);
+    return { live: engine.state, replayed: playback.state };
+}
+
+function assertSameGame(live, replayed) {
+    assert.strictEqual(replayed.score, live.score, 'score');
+    assert.strictEqual(replayed.lines, live.lines, 'lines');
+    assert.strictEqual(replayed.isGameOver, live.isGameOver, 'game over');
+    assert.deepStrictEqual(replayed.grid, live.grid, 'grid');
+}
+
+test('survival replays an action taken just before garbage rises', () => {
+    const { live, replayed } = roundTrip({ seed: 'survival', mode: 'survival' }, [
+        9999.7,
+        { type: 'hardDrop' },
+        0.6,
+        { type: 'hardDrop' },
+        16.7
+    ]);
+    assertSameGame(live, replayed);
+});
+
+test('survival replays frames of fractional length', () => {
+    const steps = [];
+    for (let frame = 0; frame < 2000; frame++) {
+        steps.push(16.7);
+        if (frame % 37 === 0) steps.push({ type: 'move', dir: frame % 2 ? 1 : -1 });
+        if (frame % 53 === 0) steps.push({ type: 'hardDrop' });
+    }
+    const { live, replayed } = roundTrip({ seed: 'frames', mode: 'survival' }, steps);
+    assertSameGame(live, replayed);
+});
+
+test('ultra replays an action taken in the last frame before the time limit', () => {
+    const { live, replayed } = roundTrip({ seed: 'ultra', mode: 'ultra' }, [
+        119999.7,
+        { type: 'hardDrop' },
+        16.7
+    ]);
+    assert.ok(live.isGameOver, 'the time limit ends the game');
+    assertSameGame(live, replayed);
+});
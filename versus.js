@@ -0,0 +1,156 @@
+// LineBreaker Versus
+// Two boards played at once from the same seed, so both players are dealt
+// the same pieces. Clears attack the other board with garbage (garbage.js):
+// an attack first cancels garbage waiting for the attacker, and what is left
+// waits on the other side until that player locks a piece without clearing
+// anything. Setting off a bomb arms a gravity shift on the other board. The
+// first player to top out loses. The match only runs the engines; input and
+// drawing are up to the page.
+(function (root) {
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const LineBreakerRandom = isNode ? require('./random.js') : root.LineBreakerRandom;
+const LineBreakerEngine = isNode ? require('./engine.js') : root.LineBreakerEngine;
+const LineBreakerGarbage = isNode ? require('./garbage.js') : root.LineBreakerGarbage;
+
+const { COLS, ROWS, BLOCK_TYPES } = LineBreakerEngine;
+const PLAYER_COUNT = 2;
+const BOMB_TYPES = [BLOCK_TYPES.BOMB, BLOCK_TYPES.COLOR_BOMB];
+
+// Start a match. options are the engine's start options (engine.js), shared
+// by both boards; onEnd is called with the winner's index (null when the
+// match was abandoned) once it is decided.
+function createMatch(options, onEnd) {
+    const seed = options.seed || LineBreakerRandom.randomSeed();
+    const holeRandom = LineBreakerRandom.createRandom(seed + ':garbage');
+    let winner = null;
+    let over = false;
+
+    // Each player:
+    //   engine: the player's board
+    //   incoming: garbage attacks waiting to rise, in lines, oldest first
+    //   sent: lines of garbage sent so far
+    //   locked, cleared: what happened since the last update
+    //   shiftArmed: the opponent set off a bomb since the last update
+    const players = [];
+    for (let index = 0; index < PLAYER_COUNT; index++) {
+        players.push({
+            index: index,
+            engine: LineBreakerEngine.createEngine(),
+            incoming: [],
+            sent: 0,
+            locked: false,
+            cleared: false,
+            shiftArmed: false
+        });
+    }
+    const opponent = player => players[(player.index + 1) % PLAYER_COUNT];
+
+    function finish(winnerIndex) {
+        if (over) return;
+        over = true;
+        winner = winnerIndex;
+        onEnd(winner);
+    }
+
+    // Cancel the attacker's own waiting garbage first, then send the rest
+    function attack(player, lines) {
+        while (lines > 0 && player.incoming.length > 0) {
+            const cancelled = Math.min(lines, player.incoming[0]);
+            player.incoming[0] -= cancelled;
+            lines -= cancelled;
+            if (player.incoming[0] === 0) player.incoming.shift();
+        }
+        if (lines > 0) {
+            opponent(player).incoming.push(lines);
+            player.sent += lines;
+        }
+    }
+
+    // Raise a player's waiting garbage, each attack with its own hole
+    function raiseGarbage(player) {
+        const state = player.engine.state;
+        const width = LineBreakerEngine.isSideways(state.currentGravity) ? ROWS : COLS;
+        while (player.incoming.length > 0 && !state.isGameOver) {
+            player.engine.garbage(player.incoming.shift(), Math.floor(holeRandom.next() * width));
+        }
+    }
+
+    for (const player of players) {
+        const target = player.engine;
+        target.on('lock', () => {
+            player.locked = true;
+        });
+        target.on('linesCleared', () => {
+            player.cleared = true;
+        });
+        target.on('scored', (event) => {
+            const lines = LineBreakerGarbage.attackFor(event);
+            if (lines > 0) attack(player, lines);
+        });
+        target.on('special', (event) => {
+            if (BOMB_TYPES.includes(event.block)) opponent(player).shiftArmed = true;
+        });
+        // Topping out loses; reaching the mode's goal first wins
+        target.on('gameOver', (event) => {
+            if (event.outcome === 'topOut') finish(opponent(player).index);
+            if (event.outcome === 'goal') finish(player.index);
+        });
+    }
+
+    for (const player of players) {
+        player.engine.start(Object.assign({}, options, { seed: seed }));
+    }
+
+    return {
+        players: players,
+        seed: seed,
+        get over() { return over; },
+        get winner() { return winner; },
+        get paused() { return players[0].engine.state.isPaused; },
+
+        // Advance both boards by a frame's delta, then deliver what they sent
+        // each other. Garbage and shifts go in between frames, never in the
+        // middle of an engine applying an action.
+        update(delta) {
+            if (over || this.paused) return;
+            for (const player of players) {
+                player.engine.tick(delta);
+            }
+            for (const player of players) {
+                if (over) break;
+                if (player.locked && !player.cleared) raiseGarbage(player);
+                if (player.shiftArmed && !player.engine.state.isGameOver) player.engine.armShift();
+                player.locked = false;
+                player.cleared = false;
+                player.shiftArmed = false;
+            }
+        },
+
+        // Pause or resume both boards together
+        togglePause() {
+            if (over) return;
+            for (const player of players) {
+                player.engine.togglePause();
+            }
+        },
+
+        // Give up the match without a winner
+        quit() {
+            finish(null);
+        }
+    };
+}
+
+const LineBreakerVersus = {
+    PLAYER_COUNT: PLAYER_COUNT,
+    createMatch: createMatch
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineBreakerVersus;
+} else {
+    root.LineBreakerVersus = LineBreakerVersus;
+}
+
+})(typeof self !== 'undefined' ? self : this);